@@ -3,27 +3,39 @@
 /**
  * PAI AeroNews - Analyst Mode
  *
- * Consumes dist/news-data.json, filters by SMS/safety keywords,
- * generates Claude analyst briefs, and posts to a dedicated Teams channel.
+ * Consumes dist/news-data.json (or, with `archiveLookbackDays` set, the
+ * article archive for that many days), skips articles briefed in earlier
+ * runs (tracked in dist/analyst-briefed-urls.json), filters by SMS/safety
+ * keywords, generates Claude analyst briefs, and posts to a dedicated Teams
+ * channel.
  *
  * Zero changes to the public pipeline. Runs daily at the configured UTC hour.
  *
  * Usage:
  *   node scripts/analyst-mode.js
  *   ANTHROPIC_API_KEY=xxx ANALYST_TEAMS_WEBHOOK_URL=yyy node scripts/analyst-mode.js
+ *   LLM_PROVIDER=mock node scripts/analyst-mode.js   # offline briefs, no spend
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { canSpendClaude, recordClaudeCalls, claudeCallsRemaining } from './usage-limit.js';
+import { canSpendClaude, claudeCallsRemaining } from './usage-limit.js';
+import { callClaude, llmAvailable, llmDescription } from './claude-client.js';
+import { buildPrompt } from './prompts.js';
+import { queryArchive } from './archive.js';
+import { urlKey } from './url-canon.js';
+import { attachCachedBodyText } from './page-cache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const NEWS_DATA_PATH = path.join(__dirname, '..', 'dist', 'news-data.json');
 const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+const BRIEFED_URLS_PATH = path.join(__dirname, '..', 'dist', 'analyst-briefed-urls.json');
+const BRIEFED_URLS_MAX = 500; // FIFO cap to keep the file bounded
 const ANALYST_COUNTER_KEY = 'analystCallsToday';
+const ANALYST_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_ANALYST || '100', 10);
 
 // Category display names (subset from fetch-rss.js — kept separate to avoid coupling)
 const CATEGORY_LABELS = {
@@ -70,123 +82,105 @@ function loadNewsData() {
 }
 
 /**
- * Deduplicate articles by source URL
+ * Deduplicate articles by canonical source URL, then by story cluster so the same
+ * story from several outlets (or several runs) appears once
  */
 function deduplicateByUrl(articles) {
   const seen = new Set();
+  const seenClusters = new Set();
   return articles.filter(article => {
     const url = article.source?.url;
-    if (!url || seen.has(url)) return false;
-    seen.add(url);
+    if (!url) return false;
+    const key = urlKey(url);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    if (article.clusterId) {
+      if (seenClusters.has(article.clusterId)) return false;
+      seenClusters.add(article.clusterId);
+    }
     return true;
   });
 }
 
 /**
- * Filter articles matching analyst keywords (case-insensitive, checked against headline + blurb)
+ * Load the set of article URLs briefed in past runs, so a lookback window
+ * that overlaps the previous digest doesn't brief (and post) them again.
+ * Missing/unreadable file → empty set.
  */
-function filterByKeywords(articles, keywords) {
-  const lowerKeywords = keywords.map(k => k.toLowerCase());
-  return articles.filter(article => {
-    const text = `${article.headline || ''} ${article.blurb || ''}`.toLowerCase();
-    return lowerKeywords.some(kw => text.includes(kw));
-  });
+function loadBriefedUrls() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(BRIEFED_URLS_PATH, 'utf-8'));
+    if (Array.isArray(parsed.urls)) return new Set(parsed.urls.map(urlKey));
+    return new Set();
+  } catch {
+    return new Set();
+  }
 }
 
 /**
- * Extract text from a Claude API response, handling multiple response shapes defensively.
+ * Persist the briefed-URLs set, trimmed (FIFO) to BRIEFED_URLS_MAX entries.
  */
-function extractClaudeText(data) {
-  // Standard shape: content[0].text
-  if (Array.isArray(data.content)) {
-    const joined = data.content.map(b => b.text).filter(Boolean).join('\n');
-    if (joined) return joined.trim();
+function saveBriefedUrls(briefedSet) {
+  try {
+    const urls = Array.from(briefedSet).slice(-BRIEFED_URLS_MAX);
+    const payload = {
+      updatedAt: new Date().toISOString(),
+      count: urls.length,
+      urls,
+    };
+    fs.mkdirSync(path.dirname(BRIEFED_URLS_PATH), { recursive: true });
+    fs.writeFileSync(BRIEFED_URLS_PATH, JSON.stringify(payload, null, 2));
+  } catch (error) {
+    console.warn(`Failed to write analyst-briefed-urls.json: ${error.message}`);
   }
+}
 
-  return null;
+/**
+ * Filter articles matching analyst keywords (case-insensitive, checked against
+ * headline + blurb + full text when the feed provides it)
+ */
+function filterByKeywords(articles, keywords) {
+  const lowerKeywords = keywords.map(k => k.toLowerCase());
+  return articles.filter(article => {
+    const text = `${article.headline || ''} ${article.blurb || ''} ${article.bodyText || ''}`.toLowerCase();
+    return lowerKeywords.some(kw => text.includes(kw));
+  });
 }
 
 /**
- * Generate an analyst brief for one article via Claude API
+ * Generate an analyst brief for one article via the shared Claude client,
+ * from the `analyst-brief` prompt template. Records the template version
+ * on `article.analystBriefPromptVersion`.
  */
 async function generateAnalystBrief(article, config) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return null;
-
-  const apiUrl = 'https://api.anthropic.com/v1/messages';
-
-  const prompt = `You are an aviation safety management system (SMS) analyst.
-Given this article, provide a brief in this exact format:
-
-SUMMARY: [2 concise sentences summarizing the article]
-
-WHY THIS MATTERS TO SMS: [1 short paragraph on relevance to safety management systems]
-
-BLOG ANGLES: [1-2 potential blog post topics for an aviation safety consulting firm]
-
-Keep total output under 150 words.
+  if (!llmAvailable()) return null;
 
-Headline: ${article.headline}
-Description: ${article.blurb || 'No description available'}`;
-
-  let counted = false;
-  try {
-    const response = await fetch(
-      apiUrl,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: 'claude-haiku-4-5-20251001',
-          max_tokens: config.claudeMaxTokens || 300,
-          messages: [{
-            role: 'user',
-            content: prompt,
-          }],
-        }),
-        signal: AbortSignal.timeout(20000),
-      }
-    );
-
-    // Record exactly once — the HTTP request consumed quota
-    recordClaudeCalls(1, ANALYST_COUNTER_KEY);
-    counted = true;
-
-    if (!response.ok) {
-      let bodySnippet = '';
-      try {
-        const raw = await response.text();
-        bodySnippet = raw.substring(0, 500);
-      } catch { /* ignore read errors */ }
-      console.warn(`  Claude HTTP ${response.status} for "${article.headline}"`);
-      console.warn(`  API URL: ${apiUrl}`);
-      console.warn(`  ANTHROPIC_API_KEY: ${apiKey ? 'present' : 'missing'}`);
-      console.warn(`  Response body: ${bodySnippet || '(empty)'}`);
-      return null;
-    }
-
-    const data = await response.json();
-    const text = extractClaudeText(data);
-    if (text) return text;
-
-    // Claude returned 200 but no usable text — log details
-    const dataSnippet = JSON.stringify(data).substring(0, 500);
-    console.warn(`  No usable Claude text for "${article.headline}"`);
-    console.warn(`  API URL: ${apiUrl}`);
-    console.warn(`  ANTHROPIC_API_KEY: present`);
-    console.warn(`  Parsed response: ${dataSnippet}`);
-    return null;
-  } catch (error) {
-    if (!counted) recordClaudeCalls(1, ANALYST_COUNTER_KEY);
-    console.warn(`  Claude call failed for "${article.headline}": ${error.message}`);
-    console.warn(`  API URL: ${apiUrl}`);
-    console.warn(`  ANTHROPIC_API_KEY: ${process.env.ANTHROPIC_API_KEY ? 'present' : 'missing'}`);
-    return null;
+  const built = buildPrompt('analyst-brief', article.id, {
+    headline: article.headline,
+    description: article.blurb || 'No description available',
+    bodyText: article.bodyText,
+  });
+  if (!built) return null;
+
+  const response = await callClaude({
+    system: built.system,
+    prompt: built.prompt,
+    promptId: built.id,
+    promptVars: built.vars,
+    maxTokens: config.claudeMaxTokens || 300,
+    counterKey: ANALYST_COUNTER_KEY,
+    cap: ANALYST_CAP,
+    timeoutMs: 20000,
+  });
+  if (response.text) {
+    article.analystBriefPromptVersion = built.id;
+    return response.text;
   }
+
+  console.warn(`  Claude call failed for "${article.headline}": ${response.error}`);
+  console.warn(`  API status: ${response.status ?? 'no response'} after ${response.attempts} attempt(s)`);
+  console.warn(`  LLM provider: ${llmDescription()}`);
+  return null;
 }
 
 /**
@@ -209,6 +203,12 @@ function buildAnalystTeamsCard(articles) {
           wrap: true,
           size: 'small',
           spacing: 'small',
+        }, {
+          type: 'TextBlock',
+          text: `Prompt ${article.analystBriefPromptVersion}`,
+          size: 'small',
+          isSubtle: true,
+          spacing: 'none',
         }]
       : [];
 
@@ -357,12 +357,38 @@ async function main() {
 
   console.log(`Loaded ${newsData.articles.length} articles from news-data.json`);
 
+  // 3b. Widen to the archive's lookback window when configured
+  let sourceArticles = newsData.articles;
+  if (config.archiveLookbackDays) {
+    const from = new Date(Date.now() - config.archiveLookbackDays * 86400000);
+    const archived = queryArchive({ from });
+    if (archived.length > 0) {
+      sourceArticles = [...newsData.articles, ...archived];
+      console.log(`Added ${archived.length} archived articles from the last ${config.archiveLookbackDays} day(s)`);
+    }
+  }
+
   // 4. Deduplicate
-  const deduped = deduplicateByUrl(newsData.articles);
+  const deduped = deduplicateByUrl(sourceArticles);
   console.log(`After deduplication: ${deduped.length} articles`);
 
+  // 4b. Skip articles already briefed in an earlier digest
+  const briefed = loadBriefedUrls();
+  const unbriefed = deduped.filter(a => !briefed.has(urlKey(a.source.url)));
+  if (unbriefed.length < deduped.length) {
+    console.log(`Skipped ${deduped.length - unbriefed.length} article(s) briefed in earlier runs`);
+  }
+  if (unbriefed.length === 0) {
+    console.log('No articles left that have not been briefed. Exiting.');
+    process.exit(0);
+  }
+
+  // Full text isn't published in news-data.json; read it from the page cache
+  const withText = attachCachedBodyText(unbriefed);
+  if (withText > 0) console.log(`Full text available for ${withText} article(s)`);
+
   // 5. Filter by keywords
-  const filtered = filterByKeywords(deduped, config.keywords || []);
+  const filtered = filterByKeywords(unbriefed, config.keywords || []);
   if (filtered.length === 0) {
     console.log('No articles matched analyst keywords. Exiting.');
     process.exit(0);
@@ -374,11 +400,10 @@ async function main() {
   console.log(`${capped.length} articles matched keywords (capped from ${filtered.length})`);
 
   // 6. Generate analyst briefs (with daily cap enforcement)
-  const ANALYST_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_ANALYST || '100', 10);
   let capReached = false;
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.warn('No ANTHROPIC_API_KEY set — skipping Claude analyst briefs.');
+  if (!llmAvailable()) {
+    console.warn('No LLM API key set — skipping Claude analyst briefs.');
   } else if (!canSpendClaude(1, ANALYST_CAP, ANALYST_COUNTER_KEY)) {
     const remaining = claudeCallsRemaining(ANALYST_CAP, ANALYST_COUNTER_KEY);
     console.warn(`⚠ CLAUDE DAILY CAP REACHED (analyst cap: ${ANALYST_CAP}, remaining: ${remaining}). Skipping analyst briefs.`);
@@ -394,7 +419,7 @@ async function main() {
       }
       const brief = await generateAnalystBrief(article, config);
       article.analystBrief = brief;
-      const status = brief ? '✓' : '✗';
+      const status = brief ? `✓ [${article.analystBriefPromptVersion}]` : '✗';
       console.log(`  ${status} ${article.headline.substring(0, 60)}...`);
     }
   }
@@ -403,6 +428,14 @@ async function main() {
     console.log('Digest will be posted without AI briefs (cap reached).');
   }
 
+  // 6b. Mark briefed URLs — articles without a brief are retried next run
+  const newlyBriefed = capped.filter(a => a.analystBrief);
+  if (newlyBriefed.length > 0) {
+    for (const a of newlyBriefed) briefed.add(urlKey(a.source.url));
+    saveBriefedUrls(briefed);
+    console.log(`✓ Marked ${newlyBriefed.length} URL(s) as briefed (total tracked: ${briefed.size})`);
+  }
+
   // 7. Check for webhook URL
   const webhookEnvVar = config.teamsWebhookEnvVar || 'ANALYST_TEAMS_WEBHOOK_URL';
   const webhookUrl = process.env[webhookEnvVar];
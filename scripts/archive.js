@@ -0,0 +1,166 @@
+/**
+ * PAI AeroNews - Article Archive
+ *
+ * Implements settings.archivePolicy. Every article the public pipeline
+ * publishes is appended to a date-partitioned file under dist/archive/
+ * (YYYY/MM/DD.json, by the article's UTC publish date), deduplicated by id.
+ * dist/archive/index.json lists each day file with its article count and
+ * maps article ids to their day, so downstream scripts can query by date
+ * range without scanning the tree.
+ *
+ * Policies:
+ *   "keep-forever"  never prune (default)
+ *   "keep-days:N"   delete day files older than N days
+ *   "none"          don't archive
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ARCHIVE_DIR = path.join(__dirname, '..', 'dist', 'archive');
+const INDEX_PATH = path.join(ARCHIVE_DIR, 'index.json');
+
+/**
+ * Parse an archivePolicy string into `{ mode, days }`.
+ * Unrecognized values fall back to keep-forever with a warning.
+ */
+export function parseArchivePolicy(policy = 'keep-forever') {
+  if (policy === 'none') return { mode: 'none', days: null };
+  if (policy === 'keep-forever') return { mode: 'keep-forever', days: null };
+
+  const match = /^keep-days:(\d+)$/.exec(policy);
+  if (match && parseInt(match[1], 10) > 0) {
+    return { mode: 'keep-days', days: parseInt(match[1], 10) };
+  }
+
+  console.warn(`Unknown archivePolicy "${policy}", using keep-forever`);
+  return { mode: 'keep-forever', days: null };
+}
+
+/**
+ * Relative path of the day file for a YYYY-MM-DD date.
+ */
+function dayFile(day) {
+  const [year, month, date] = day.split('-');
+  return path.join(year, month, `${date}.json`);
+}
+
+/**
+ * Load the archive index. Missing or corrupted files start empty.
+ */
+function loadIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+    if (data.days && data.ids) return data;
+  } catch {
+    // File missing or corrupted — start fresh
+  }
+  return { days: {}, ids: {} };
+}
+
+/**
+ * Read one day's archived articles.
+ */
+function readDay(day) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, dayFile(day)), 'utf-8'));
+    return Array.isArray(data.articles) ? data.articles : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append published articles to the archive according to `policy`.
+ * Articles already archived (by id) are skipped.
+ *
+ * @param {Array} articles - Articles in news-data.json shape
+ * @param {string} policy - settings.archivePolicy
+ * @returns {{added: number, pruned: number}}
+ */
+export function archiveArticles(articles, policy) {
+  const { mode, days } = parseArchivePolicy(policy);
+  if (mode === 'none') return { added: 0, pruned: 0 };
+
+  const index = loadIndex();
+  const archivedAt = new Date().toISOString();
+
+  // Group new articles by UTC publish day
+  const byDay = new Map();
+  for (const article of articles) {
+    if (!article.id || index.ids[article.id]) continue;
+    const published = new Date(article.publishedAt);
+    const day = !article.publishedAt || Number.isNaN(published.getTime())
+      ? archivedAt.slice(0, 10)
+      : published.toISOString().slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push({ ...article, archivedAt });
+    index.ids[article.id] = day;
+  }
+
+  let added = 0;
+  for (const [day, newArticles] of byDay) {
+    const existing = readDay(day);
+    const existingIds = new Set(existing.map(a => a.id));
+    const merged = [...existing, ...newArticles.filter(a => !existingIds.has(a.id))];
+    added += merged.length - existing.length;
+
+    const filePath = path.join(ARCHIVE_DIR, dayFile(day));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ date: day, articles: merged }, null, 2), 'utf-8');
+    index.days[day] = { path: dayFile(day).split(path.sep).join('/'), count: merged.length };
+  }
+
+  let pruned = 0;
+  if (mode === 'keep-days') {
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+    for (const day of Object.keys(index.days)) {
+      if (day >= cutoff) continue;
+      fs.rmSync(path.join(ARCHIVE_DIR, dayFile(day)), { force: true });
+      delete index.days[day];
+      pruned++;
+    }
+    for (const [id, day] of Object.entries(index.ids)) {
+      if (!index.days[day]) delete index.ids[id];
+    }
+  }
+
+  const sortedDays = Object.keys(index.days).sort();
+  const payload = {
+    policy: policy || 'keep-forever',
+    updatedAt: archivedAt,
+    firstDay: sortedDays[0] || null,
+    lastDay: sortedDays[sortedDays.length - 1] || null,
+    totalArticles: Object.values(index.days).reduce((sum, d) => sum + d.count, 0),
+    days: Object.fromEntries(sortedDays.map(d => [d, index.days[d]])),
+    ids: index.ids,
+  };
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(payload), 'utf-8');
+
+  return { added, pruned };
+}
+
+/**
+ * Return archived articles published between `from` and `to` (inclusive,
+ * YYYY-MM-DD or anything Date can parse), newest first.
+ *
+ * @param {object} range
+ * @param {string|Date} range.from
+ * @param {string|Date} [range.to=now]
+ */
+export function queryArchive({ from, to = new Date() }) {
+  const fromDay = new Date(from).toISOString().slice(0, 10);
+  const toDay = new Date(to).toISOString().slice(0, 10);
+  const index = loadIndex();
+
+  const articles = [];
+  for (const day of Object.keys(index.days)) {
+    if (day >= fromDay && day <= toDay) articles.push(...readDay(day));
+  }
+  return articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
@@ -0,0 +1,88 @@
+/**
+ * PAI AeroNews - Category Routing
+ *
+ * Deterministic keyword → category rules, so an NTSB story from a
+ * "commercial" feed lands in "safety" even when Claude is unavailable.
+ * Rules run on RSS articles before the takeaway step. An article routed by a
+ * rule records it in `categoryRule` and keeps that category — Claude's
+ * suggested category only applies to articles no rule matched.
+ *
+ * Rules live in sources.json → settings.categoryRoutes (global) and
+ * feeds[].categoryRoutes (per feed):
+ *   { "name": "ntsb-safety", "category": "safety", "terms": ["NTSB"],
+ *     "match": "word", "fields": ["headline", "blurb"], "priority": 10 }
+ *
+ * `match` and `fields` work as in content rules (defaults "word" and
+ * headline + blurb). The highest `priority` (default 0) matching rule wins;
+ * on a tie per-feed rules beat global ones, then earlier rules beat later.
+ */
+
+import { compileTerm, articleText } from './content-rules.js';
+
+/**
+ * Compile a list of route definitions. Rules pointing at a category outside
+ * `validCategories` are skipped with a warning.
+ */
+function compileRoutes(routes, scope, validCategories) {
+  return (routes || []).map((route, i) => {
+    const name = route.name || `${scope}#${i + 1}`;
+    if (!validCategories.has(route.category)) {
+      console.warn(`⚠ Category route "${name}": unknown category "${route.category}" skipped`);
+      return null;
+    }
+    const match = ['word', 'substring', 'regex'].includes(route.match) ? route.match : 'word';
+    const tests = (route.terms || [])
+      .map(term => compileTerm(String(term), match, name))
+      .filter(Boolean);
+    return {
+      name,
+      category: route.category,
+      priority: route.priority ?? 0,
+      fields: route.fields || ['headline', 'blurb'],
+      tests,
+    };
+  }).filter(route => route && route.tests.length > 0);
+}
+
+/**
+ * Route RSS articles to categories by rule, in place.
+ *
+ * @param {Array} articles - RSS articles (source.name identifies the feed)
+ * @param {Array} feeds - Feed definitions from sources.json
+ * @param {object} settings - sources.json settings
+ * @param {Set<string>} validCategories
+ * @returns {{routed: number, changed: number}}
+ */
+export function routeCategories(articles, feeds, settings, validCategories) {
+  const globalRoutes = compileRoutes(settings?.categoryRoutes, 'global', validCategories);
+  const feedRoutes = new Map(feeds
+    .filter(feed => feed.categoryRoutes?.length)
+    .map(feed => [feed.name, compileRoutes(feed.categoryRoutes, feed.name, validCategories)]));
+
+  if (globalRoutes.length === 0 && feedRoutes.size === 0) return { routed: 0, changed: 0 };
+
+  // Stable sort keeps per-feed rules ahead of global ones on equal priority
+  const routesFor = new Map();
+  const orderedRoutes = (feedName) => {
+    if (!routesFor.has(feedName)) {
+      routesFor.set(feedName, [...(feedRoutes.get(feedName) || []), ...globalRoutes]
+        .sort((a, b) => b.priority - a.priority));
+    }
+    return routesFor.get(feedName);
+  };
+
+  let routed = 0;
+  let changed = 0;
+  for (const article of articles) {
+    for (const route of orderedRoutes(article.source?.name)) {
+      const text = articleText(article, route.fields);
+      if (!route.tests.some(test => test(text))) continue;
+      if (article.category !== route.category) changed++;
+      article.category = route.category;
+      article.categoryRule = route.name;
+      routed++;
+      break;
+    }
+  }
+  return { routed, changed };
+}
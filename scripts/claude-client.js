@@ -0,0 +1,260 @@
+/**
+ * PAI AeroNews - Shared LLM Client
+ *
+ * Single entry point for LLM calls from every pipeline (public takeaways,
+ * analyst mode, opportunity spotter). The backend — Anthropic, an
+ * OpenAI-compatible endpoint or the offline mock — comes from
+ * llm-providers.js, selected in the `llm` section of sources.json. Handles:
+ *   - provider / model / timeout / retry settings from sources.json
+ *   - per-attempt timeouts
+ *   - exponential backoff on 429, 529, 5xx and network errors, honouring `retry-after`
+ *   - recording exactly one call per HTTP attempt against the caller's counter
+ *   - recording `usage.input_tokens` / `usage.output_tokens` per counter
+ *
+ * Never throws — failures come back as `{ text: null, error }` so callers
+ * can fall back gracefully. The mock provider makes no HTTP request and is
+ * not metered.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canSpendClaude, recordClaudeCalls, recordClaudeTokens } from './usage-limit.js';
+import { isReplaying, recordPostsTo } from './record-replay.js';
+import { PROVIDERS } from './llm-providers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+
+const DEFAULTS = {
+  provider: 'anthropic',
+  timeoutMs: 30000,
+  maxRetries: 2,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 30000,
+};
+
+let cachedConfig = null;
+
+/**
+ * Load the `llm` section of sources.json merged over DEFAULTS, resolving
+ * the active provider's settings into `config.settings` and its model into
+ * `config.model`. A legacy `claude` section is still read as Anthropic
+ * settings. LLM_PROVIDER overrides the provider and LLM_MODEL the model
+ * (CLAUDE_MODEL still works for Anthropic). An unknown provider falls back
+ * to Anthropic with a warning.
+ */
+export function loadClaudeConfig() {
+  if (cachedConfig) return cachedConfig;
+  let fileConfig = {};
+  try {
+    const sources = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf-8'));
+    if (sources.llm) {
+      fileConfig = sources.llm;
+    } else if (sources.claude) {
+      const { model, ...rest } = sources.claude;
+      fileConfig = { ...rest, providers: { anthropic: { model } } };
+    }
+  } catch {
+    // sources.json unreadable — defaults only
+  }
+  cachedConfig = { ...DEFAULTS, ...fileConfig };
+  if (process.env.LLM_PROVIDER) cachedConfig.provider = process.env.LLM_PROVIDER;
+  if (!PROVIDERS[cachedConfig.provider]) {
+    console.warn(`⚠ Unknown LLM provider "${cachedConfig.provider}", using "${DEFAULTS.provider}"`);
+    cachedConfig.provider = DEFAULTS.provider;
+  }
+
+  const provider = PROVIDERS[cachedConfig.provider];
+  const settings = { ...(cachedConfig.providers?.[cachedConfig.provider] || {}) };
+  settings.baseUrl = settings.baseUrl || provider.baseUrl;
+  settings.apiKeyEnv = settings.apiKeyEnv || provider.apiKeyEnv;
+  cachedConfig.settings = settings;
+  const envModel = process.env.LLM_MODEL || (cachedConfig.provider === 'anthropic' ? process.env.CLAUDE_MODEL : null);
+  cachedConfig.model = envModel || settings.model || provider.defaultModel;
+
+  // --record snapshots this provider's POSTs alongside feed responses
+  if (settings.baseUrl) {
+    try {
+      recordPostsTo(new URL(settings.baseUrl).hostname);
+    } catch {
+      // invalid baseUrl — the request itself will fail and be reported
+    }
+  }
+  return cachedConfig;
+}
+
+/**
+ * API key for the configured provider, or null when none is needed/set.
+ */
+function providerApiKey(config) {
+  return (config.settings.apiKeyEnv && process.env[config.settings.apiKeyEnv]) || null;
+}
+
+/**
+ * Whether LLM calls can be attempted at all: the mock provider, a replay,
+ * a provider that needs no key, or a configured key. Callers use this to
+ * skip straight to their fallbacks.
+ */
+export function llmAvailable() {
+  const config = loadClaudeConfig();
+  return isReplaying() || !PROVIDERS[config.provider].keyRequired || Boolean(providerApiKey(config));
+}
+
+/**
+ * Name and model of the configured provider, for log lines.
+ */
+export function llmDescription() {
+  const config = loadClaudeConfig();
+  return `${config.provider} (${config.model})`;
+}
+
+/**
+ * Whether an HTTP status is worth retrying (rate limit, overload, server error).
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status === 529 || status >= 500;
+}
+
+/**
+ * Parse a `retry-after` header (delta-seconds or HTTP date) into milliseconds.
+ * An HTTP date is measured against the response's `date` header when present.
+ */
+function parseRetryAfter(value, responseDate) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  const serverNow = Date.parse(responseDate || '');
+  return Math.max(0, date - (Number.isNaN(serverNow) ? Date.now() : serverNow));
+}
+
+/**
+ * Exponential backoff with full jitter for attempt n (0-based).
+ */
+function backoffDelay(attempt, config) {
+  const ceiling = Math.min(config.retryMaxDelayMs, config.retryBaseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send one prompt to the configured LLM provider, with retries.
+ *
+ * @param {object} options
+ * @param {string} options.prompt - User message content
+ * @param {string} [options.system] - System prompt
+ * @param {number} [options.maxTokens=300]
+ * @param {string} [options.counterKey='claudeCallsToday'] - usage-limit counter charged per attempt
+ * @param {number} [options.cap] - If set, retries stop once this daily cap is reached
+ * @param {string} [options.model] - Overrides the configured model
+ * @param {number} [options.timeoutMs] - Overrides the configured per-attempt timeout
+ * @param {number} [options.maxRetries] - Overrides the configured retry count
+ * @param {string} [options.promptId] - Template id from buildPrompt(), e.g. "takeaway@v1"
+ * @param {object} [options.promptVars] - Vars the template was rendered with
+ * @returns {Promise<{text: string|null, data: object|null, usage: object|null, status: number|null, error: string|null, attempts: number}>}
+ */
+export async function callClaude({
+  prompt,
+  system,
+  maxTokens = 300,
+  counterKey = 'claudeCallsToday',
+  cap,
+  model,
+  timeoutMs,
+  maxRetries,
+  promptId,
+  promptVars,
+}) {
+  const config = loadClaudeConfig();
+  const provider = PROVIDERS[config.provider];
+  const result = { text: null, data: null, usage: null, status: null, error: null, attempts: 0 };
+  const call = { model: model || config.model, system, prompt, maxTokens, promptId, promptVars };
+
+  if (provider.respond) {
+    const { text, usage } = provider.respond(call);
+    result.attempts = 1;
+    result.text = text;
+    result.usage = usage;
+    return result;
+  }
+
+  // Replayed responses are served from the snapshot without a real key
+  const apiKey = providerApiKey(config) || (isReplaying() ? 'replay' : null);
+  if (provider.keyRequired && !apiKey) {
+    result.error = `${config.settings.apiKeyEnv} missing`;
+    return result;
+  }
+
+  // Replayed responses (fetch-rss.js --replay) spend nothing, so skip budgets
+  const metered = !isReplaying();
+  const retries = maxRetries ?? config.maxRetries;
+  const request = provider.buildRequest(call, config.settings, apiKey);
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (metered && attempt > 0 && cap !== undefined && !canSpendClaude(1, cap, counterKey)) {
+      result.error = `${result.error} (retry skipped: daily cap reached)`;
+      return result;
+    }
+
+    let retryDelay = null;
+    let counted = false;
+    result.attempts++;
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: AbortSignal.timeout(timeoutMs ?? config.timeoutMs),
+      });
+
+      // Record exactly once — the HTTP request consumed quota
+      if (metered) recordClaudeCalls(1, counterKey, cap);
+      counted = true;
+      result.status = response.status;
+
+      if (response.ok) {
+        const data = await response.json();
+        const { text, usage } = provider.parseResponse(data);
+        result.data = data;
+        result.usage = usage;
+        if (metered && usage) {
+          recordClaudeTokens(usage.input_tokens || 0, usage.output_tokens || 0, counterKey, call.model, config.settings.price);
+        }
+        result.text = text;
+        result.error = result.text ? null : 'No usable text in response';
+        return result;
+      }
+
+      let bodySnippet = '';
+      try {
+        bodySnippet = (await response.text()).substring(0, 500);
+      } catch { /* ignore read errors */ }
+      result.error = `HTTP ${response.status}: ${bodySnippet || '(empty)'}`;
+
+      if (!isRetryableStatus(response.status)) return result;
+      retryDelay = parseRetryAfter(response.headers.get('retry-after'), response.headers.get('date'));
+    } catch (error) {
+      // Network error or timeout — the request may have reached the API,
+      // so it still counts against the cap.
+      if (metered && !counted) recordClaudeCalls(1, counterKey, cap);
+      result.error = error.message;
+    }
+
+    if (attempt < retries) {
+      const delay = retryDelay ?? backoffDelay(attempt, config);
+      if (delay > config.retryMaxDelayMs) {
+        result.error = `${result.error} (retry-after ${Math.round(delay / 1000)}s exceeds limit)`;
+        return result;
+      }
+      console.warn(`  ↻ ${config.provider} ${result.error.substring(0, 80)} — retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+
+  return result;
+}
@@ -11,13 +11,15 @@
  * Skip rules:
  *   - Missing webhook secret → exit 0 with a log line
  *   - No new items across all feeds → exit 0, no Teams post
- *   - Per-feed fetch failures → log and continue
+ *   - Per-feed fetch failures (after the fetch scheduler's retries) → log and continue
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { XMLParser } from 'fast-xml-parser';
+import { canonicalizeUrl, urlKey } from './url-canon.js';
+import { scheduledFetch } from './fetch-scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,7 +41,8 @@ function loadSeen() {
   try {
     const raw = fs.readFileSync(SEEN_PATH, 'utf-8');
     const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed.urls)) return new Set(parsed.urls);
+    // Re-key on load so files written before canonicalization still match
+    if (Array.isArray(parsed.urls)) return new Set(parsed.urls.map(urlKey));
   } catch {}
   return new Set();
 }
@@ -60,29 +63,15 @@ function saveSeen(seenSet) {
   }
 }
 
-/**
- * Google Alerts wraps the real article URL in a redirect like
- * https://www.google.com/url?...&url=<encoded>&...
- * Unwrap to the canonical URL when possible so dedup is stable.
- */
-function unwrapGoogleUrl(href) {
-  if (!href) return href;
-  try {
-    const u = new URL(href);
-    const inner = u.searchParams.get('url');
-    if (inner) return inner;
-  } catch {}
-  return href;
-}
-
 function stripHtml(s) {
   if (!s) return '';
   return String(s).replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
 }
 
 async function fetchFeed(feed) {
-  const res = await fetch(feed.url, {
+  const res = await scheduledFetch(feed.url, {
     headers: { 'User-Agent': 'PAI-Company-Radar/1.0' },
+    label: feed.label,
   });
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
   const xml = await res.text();
@@ -106,7 +95,8 @@ async function fetchFeed(feed) {
     }
     return {
       title: stripHtml(e.title?.['#text'] || e.title),
-      url: unwrapGoogleUrl(link),
+      // Google Alerts wraps links in https://www.google.com/url?...&url=<encoded>
+      url: canonicalizeUrl(link),
       published: e.published || e.updated || '',
       source: sourceName,
     };
@@ -205,7 +195,7 @@ async function main() {
   for (const feed of FEEDS) {
     try {
       const items = await fetchFeed(feed);
-      const fresh = items.filter(it => !seen.has(it.url));
+      const fresh = items.filter(it => !seen.has(urlKey(it.url)));
       if (fresh.length > 0) {
         grouped.push({ label: feed.label, items: fresh });
         totalNew += fresh.length;
@@ -236,7 +226,7 @@ async function main() {
 
   // Mark new URLs as seen only after a successful post (matches OS pattern).
   for (const { items } of grouped) {
-    for (const it of items) seen.add(it.url);
+    for (const it of items) seen.add(urlKey(it.url));
   }
   saveSeen(seen);
   console.log(`✓ Updated company-radar-seen.json (total tracked: ${seen.size})`);
@@ -0,0 +1,181 @@
+/**
+ * PAI AeroNews - Content Rules
+ *
+ * Declarative include/exclude filtering for the public feed, configured in
+ * sources.json → settings.contentRules so phrases can change without a code
+ * PR. Each named rule set drops an article when:
+ *   - an `exclude` term matches and no `include` term does, or
+ *   - it has only `include` terms and none of them match (allow-list).
+ *
+ * Rule set fields:
+ *   name      shown in the drop log
+ *   enabled   false skips the set (default true)
+ *   fields    any of "headline", "blurb", "bodyText", "source", "category",
+ *             "url" (default ["headline", "blurb"]); bodyText is the
+ *             extracted page text of fullText feeds, empty for others
+ *   match     "word" (word boundaries, default), "substring" or "regex";
+ *             all case-insensitive
+ *   exclude   terms that drop the article
+ *   include   terms that keep it (exemptions when `exclude` is set)
+ *   feeds     only apply to these feed names (default: every feed)
+ *
+ * When settings.contentRules is absent, DEFAULT_RULE_SETS applies — the
+ * administrative/funding filter the pipeline has always used.
+ */
+
+export const DEFAULT_RULE_SETS = [
+  {
+    name: 'administrative-funding-noise',
+    fields: ['headline', 'blurb'],
+    match: 'substring',
+    exclude: [
+      'grants status request', 'notice of funding availability', 'notice of funding',
+      'funding opportunity', 'nofo', 'request for proposal', 'request for proposals',
+      'rfp', 'solicitation', 'cooperative agreement', 'contract award',
+      'contracting opportunity', 'grant application', 'grant program',
+      'grant announcement', 'grant funding',
+    ],
+    // Keep if there's a direct, specific tie to safety ops / SMS
+    include: [
+      'safety management system', ' sms ', '(sms)', 'runway safety', 'flight safety',
+      'aviation safety', 'safety operations', 'accident', 'ntsb', 'icao safety',
+      'safety oversight',
+    ],
+  },
+];
+
+const FIELD_GETTERS = {
+  headline: a => a.headline || '',
+  blurb: a => a.blurb || '',
+  bodyText: a => a.bodyText || '',
+  source: a => a.source?.name || '',
+  category: a => a.category || '',
+  url: a => a.source?.url || '',
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Join the requested article fields into one string for matching.
+ * Unknown field names are ignored.
+ */
+export function articleText(article, fields) {
+  return fields.filter(f => FIELD_GETTERS[f]).map(f => FIELD_GETTERS[f](article)).join(' ');
+}
+
+/**
+ * Turn one term into a matcher `(text) => boolean`, or null if invalid.
+ * Substring terms match against the lowercased text padded with spaces, so
+ * " sms " still matches at the start or end. `setName` labels warnings.
+ */
+export function compileTerm(term, match, setName) {
+  if (match === 'substring') {
+    const needle = term.toLowerCase();
+    return text => ` ${text.toLowerCase()} `.includes(needle);
+  }
+
+  let source;
+  if (match === 'regex') {
+    source = term;
+  } else {
+    // Only anchor on sides that start/end with a word character so terms
+    // like "(sms)" still work
+    const start = /^\w/.test(term) ? '\\b' : '';
+    const end = /\w$/.test(term) ? '\\b' : '';
+    source = `${start}${escapeRegex(term)}${end}`;
+  }
+
+  try {
+    const regex = new RegExp(source, 'i');
+    return text => regex.test(text);
+  } catch (error) {
+    console.warn(`⚠ Rule "${setName}": invalid pattern "${term}" skipped (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Compile rule sets from settings.contentRules (or DEFAULT_RULE_SETS).
+ *
+ * @param {object} [config] - sources.json settings.contentRules
+ */
+export function compileContentRules(config) {
+  const ruleSets = config?.ruleSets ?? DEFAULT_RULE_SETS;
+
+  return ruleSets
+    .filter(set => set.enabled !== false)
+    .map((set, i) => {
+      const name = set.name || `rule-set-${i + 1}`;
+      const match = set.match || 'word';
+      if (!['word', 'substring', 'regex'].includes(match)) {
+        console.warn(`⚠ Content rule "${name}": unknown match "${match}", using "word"`);
+      }
+      const mode = ['word', 'substring', 'regex'].includes(match) ? match : 'word';
+      const compileAll = terms => (terms || [])
+        .map(term => ({ term, test: compileTerm(String(term), mode, name) }))
+        .filter(t => t.test);
+
+      const fields = (set.fields || ['headline', 'blurb']).filter(f => {
+        if (FIELD_GETTERS[f]) return true;
+        console.warn(`⚠ Content rule "${name}": unknown field "${f}" ignored`);
+        return false;
+      });
+
+      return {
+        name,
+        fields,
+        feeds: set.feeds ? new Set(set.feeds) : null,
+        exclude: compileAll(set.exclude),
+        include: compileAll(set.include),
+      };
+    });
+}
+
+/**
+ * The first rule set + term that drops `article`, or null to keep it.
+ */
+function findDroppingRule(article, rules) {
+  for (const rule of rules) {
+    if (rule.feeds && !rule.feeds.has(article.source?.name)) continue;
+    const text = articleText(article, rule.fields);
+
+    const includeHit = rule.include.find(t => t.test(text));
+    if (rule.exclude.length > 0) {
+      const excludeHit = rule.exclude.find(t => t.test(text));
+      if (excludeHit && !includeHit) {
+        return { rule: rule.name, reason: `exclude "${excludeHit.term}"` };
+      }
+    } else if (rule.include.length > 0 && !includeHit) {
+      return { rule: rule.name, reason: 'no include term matched' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply content rules, logging each dropped article with the rule that
+ * dropped it.
+ *
+ * @param {Array} articles
+ * @param {object} [config] - sources.json settings.contentRules
+ * @returns {{articles: Array, dropped: Array<{article, rule, reason}>}}
+ */
+export function applyContentRules(articles, config) {
+  const rules = compileContentRules(config);
+  if (rules.length === 0) return { articles, dropped: [] };
+
+  const kept = [];
+  const dropped = [];
+  for (const article of articles) {
+    const hit = findDroppingRule(article, rules);
+    if (hit) {
+      dropped.push({ article, ...hit });
+      console.log(`  ✗ [${hit.rule}] ${hit.reason}: ${(article.headline || '').substring(0, 60)} (${article.source?.name})`);
+    } else {
+      kept.push(article);
+    }
+  }
+  return { articles: kept, dropped };
+}
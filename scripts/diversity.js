@@ -0,0 +1,149 @@
+/**
+ * PAI AeroNews - Source Diversity Balancing
+ *
+ * Keeps one prolific feed from filling the ticker after the ranking sort:
+ *   1. Per-feed cap — each feed keeps its top `feed.maxItems` articles
+ *      (falls back to settings.articlesPerFeed).
+ *   2. Order — ranked (importance-scored) input keeps its score order, so
+ *      the score decides which articles survive the caps below. Unranked
+ *      (newest-first) input is interleaved so feeds take turns: "weighted"
+ *      uses smooth weighted round-robin on `feed.weight` (default 1, so
+ *      equal weights are plain round-robin); "none" keeps the input order.
+ *   3. Category limits — settings.diversity.categoryLimits reserves ticker
+ *      slots for a category's `min` and never lets it take more than `max`,
+ *      walking the list in the order from step 2.
+ *
+ * Settings (sources.json):
+ *   settings.articlesPerFeed                 default per-feed cap
+ *   settings.diversity.interleave            "weighted" (default) | "none" (unranked input only)
+ *   settings.diversity.categoryLimits        { "<category>": { "min": n, "max": n } }
+ *   feeds[].maxItems / feeds[].weight        per-feed overrides (weight 0 drops the feed)
+ */
+
+/**
+ * Group articles by feed (source name), preserving their existing order.
+ */
+function groupByFeed(articles) {
+  const groups = new Map();
+  for (const article of articles) {
+    const key = article.source?.name || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(article);
+  }
+  return groups;
+}
+
+/**
+ * Interleave per-feed queues using smooth weighted round-robin.
+ * Ties go to the feed whose next article is newest.
+ */
+function interleave(groups, weightOf) {
+  const queues = [...groups.entries()].map(([name, items]) => ({
+    weight: weightOf(name),
+    current: 0,
+    items: [...items],
+  })).filter(q => q.weight > 0);
+
+  const totalWeight = queues.reduce((sum, q) => sum + q.weight, 0);
+  const result = [];
+
+  while (queues.some(q => q.items.length > 0)) {
+    let best = null;
+    for (const q of queues) {
+      if (q.items.length === 0) continue;
+      q.current += q.weight;
+      if (!best
+        || q.current > best.current
+        || (q.current === best.current
+          && new Date(q.items[0].publishedAt) > new Date(best.items[0].publishedAt))) {
+        best = q;
+      }
+    }
+    best.current -= totalWeight;
+    result.push(best.items.shift());
+  }
+
+  return result;
+}
+
+/**
+ * Pick up to `slots` articles honoring category min/max, keeping the
+ * ordered input's order. Articles not picked are returned after the picked
+ * ones (minus any over a category max) so later slicing still works.
+ */
+function applyCategoryLimits(ordered, categoryLimits, slots) {
+  const limits = categoryLimits || {};
+  if (Object.keys(limits).length === 0) return ordered;
+
+  const picked = new Set();
+  const counts = {};
+  const underMax = (article) => {
+    const max = limits[article.category]?.max;
+    return max === undefined || (counts[article.category] || 0) < max;
+  };
+  const pick = (article) => {
+    picked.add(article);
+    counts[article.category] = (counts[article.category] || 0) + 1;
+  };
+
+  // Reserve slots for category minimums first
+  for (const [category, limit] of Object.entries(limits)) {
+    if (!limit.min) continue;
+    for (const article of ordered) {
+      if (picked.size >= slots || (counts[category] || 0) >= limit.min) break;
+      if (article.category === category && !picked.has(article) && underMax(article)) {
+        pick(article);
+      }
+    }
+  }
+
+  // Fill the remaining slots in order
+  for (const article of ordered) {
+    if (picked.size >= slots) break;
+    if (!picked.has(article) && underMax(article)) pick(article);
+  }
+
+  const overflow = [];
+  for (const article of ordered) {
+    if (picked.has(article) || !underMax(article)) continue;
+    overflow.push(article);
+    counts[article.category] = (counts[article.category] || 0) + 1;
+  }
+  return [...ordered.filter(a => picked.has(a)), ...overflow];
+}
+
+/**
+ * Balance ranked RSS articles across feeds and categories.
+ *
+ * @param {Array} articles - Deduplicated RSS articles, by score or newest first
+ * @param {Array} feeds - Feed definitions from sources.json
+ * @param {object} settings - sources.json settings
+ * @param {number} slots - Ticker slots available to RSS articles
+ * @param {object} [options]
+ * @param {boolean} [options.ranked] - `articles` are sorted by importance
+ *   score: apply the caps in that order instead of interleaving feeds
+ * @returns {Array} Balanced articles (first `slots` are the intended picks)
+ */
+export function balanceArticles(articles, feeds, settings = {}, slots = Infinity, { ranked = false } = {}) {
+  const feedsByName = new Map(feeds.map(f => [f.name, f]));
+  const defaultCap = settings.articlesPerFeed;
+  const diversity = settings.diversity || {};
+
+  // 1. Per-feed cap
+  const groups = groupByFeed(articles);
+  for (const [name, items] of groups) {
+    const cap = feedsByName.get(name)?.maxItems ?? defaultCap;
+    if (cap !== undefined && items.length > cap) {
+      groups.set(name, items.slice(0, cap));
+    }
+  }
+
+  // 2. Score order, or interleave
+  const weightOf = name => feedsByName.get(name)?.weight ?? 1;
+  const ordered = ranked || diversity.interleave === 'none'
+    ? articles.filter(a => weightOf(a.source?.name || '') > 0 && groups.get(a.source?.name || '').includes(a))
+    : interleave(groups, weightOf);
+
+  // 3. Category min/max
+  return applyCategoryLimits(ordered, diversity.categoryLimits, slots);
+}
@@ -0,0 +1,111 @@
+/**
+ * PAI AeroNews - Aviation Entity Extraction
+ *
+ * Matches article text against the entity taxonomy in taxonomy.json —
+ * manufacturers, aircraft types, regulators, airports, airlines, CFR parts
+ * and general topics — on word boundaries, so "space" no longer matches
+ * "airspace" and "ATC" no longer matches "match".
+ *
+ * taxonomy.json maps each entity type to a list of entries:
+ *   { "id": "pc-12", "label": "Pilatus PC-12", "aliases": ["PC-12", "PC12"] }
+ *
+ * The label and every alias are matched. Short all-caps aliases (codes such
+ * as "SFO", "FAA", "SR22") match case-sensitively; everything else ignores
+ * case. An entity's `id` doubles as its flat keyword (`article.keywords`),
+ * which PAI video matching and story clustering use.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TAXONOMY_PATH = path.join(__dirname, '..', 'taxonomy.json');
+
+// Aliases like "JFK" or "SR22" are codes; "jfk" in running text is not
+const CODE_ALIAS = /^(?=.*[A-Z])[A-Z0-9]{2,4}$/;
+
+let cachedMatchers = null;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex source for one alias, anchored on word boundaries where the alias
+ * starts/ends with a word character (so "Part 9" doesn't match "Part 91").
+ */
+function aliasSource(alias) {
+  const start = /^\w/.test(alias) ? '\\b' : '';
+  const end = /\w$/.test(alias) ? '\\b' : '';
+  return `${start}${escapeRegex(alias).replace(/\s+/g, '\\s+')}${end}`;
+}
+
+/**
+ * Compile one regex per case mode for an entity, or null if it has no
+ * usable aliases.
+ */
+function compileEntity(type, entry) {
+  if (!entry?.id || !entry.label) return null;
+  const aliases = [...new Set([entry.label, ...(entry.aliases || [])].map(a => String(a).trim()).filter(Boolean))];
+  const codes = aliases.filter(a => CODE_ALIAS.test(a));
+  const words = aliases.filter(a => !CODE_ALIAS.test(a));
+
+  const regexes = [];
+  if (codes.length) regexes.push(new RegExp(codes.map(aliasSource).join('|')));
+  if (words.length) regexes.push(new RegExp(words.map(aliasSource).join('|'), 'i'));
+  return { type, id: String(entry.id), label: String(entry.label), regexes };
+}
+
+/**
+ * Load and compile taxonomy.json (once per process). A missing or invalid
+ * file logs a warning and extracts nothing.
+ */
+function loadMatchers() {
+  if (cachedMatchers) return cachedMatchers;
+  let taxonomy = {};
+  try {
+    taxonomy = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠ Could not load taxonomy.json: ${error.message}`);
+  }
+
+  cachedMatchers = [];
+  for (const [type, entries] of Object.entries(taxonomy)) {
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      try {
+        const matcher = compileEntity(type, entry);
+        if (matcher) cachedMatchers.push(matcher);
+      } catch (error) {
+        console.warn(`⚠ Taxonomy entry "${entry?.id}" skipped: ${error.message}`);
+      }
+    }
+  }
+  return cachedMatchers;
+}
+
+/**
+ * Extract typed entities from text, in taxonomy order.
+ *
+ * @param {string} text
+ * @returns {Array<{type: string, id: string, label: string}>}
+ */
+export function extractEntities(text) {
+  if (!text) return [];
+  return loadMatchers()
+    .filter(m => m.regexes.some(regex => regex.test(text)))
+    .map(({ type, id, label }) => ({ type, id, label }));
+}
+
+/**
+ * Flat keyword list for a set of entities (their ids, deduplicated).
+ *
+ * @param {Array<{id: string}>} entities
+ * @returns {string[]}
+ */
+export function entityKeywords(entities) {
+  return [...new Set(entities.map(e => e.id))];
+}
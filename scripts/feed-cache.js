@@ -0,0 +1,98 @@
+/**
+ * PAI AeroNews - RSS Feed HTTP Cache
+ *
+ * Stores each feed's ETag / Last-Modified validators plus the articles
+ * parsed from its last 200 response in dist/feed-cache.json. fetchFeed
+ * sends them back as If-None-Match / If-Modified-Since and reuses the
+ * cached articles on a 304 instead of re-downloading and re-parsing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_PATH = path.join(__dirname, '..', 'dist', 'feed-cache.json');
+
+// Bump when normalizeArticle's output shape changes so stale items aren't reused
+const CACHE_VERSION = 5;
+
+/**
+ * Load the feed cache. Missing, corrupted or outdated files start empty.
+ */
+export function loadFeedCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
+    if (data.version === CACHE_VERSION && data.feeds && typeof data.feeds === 'object') {
+      return { feeds: data.feeds, notModified: 0 };
+    }
+  } catch {
+    // File missing or corrupted — start fresh
+  }
+  return { feeds: {}, notModified: 0 };
+}
+
+/**
+ * Return conditional request headers for `url`, or {} if nothing is cached.
+ */
+export function conditionalHeaders(cache, url) {
+  const entry = cache.feeds[url];
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Return a copy of the cached articles for `url` after a 304, or null.
+ */
+export function cachedFeedItems(cache, url) {
+  const entry = cache.feeds[url];
+  if (!entry) return null;
+  cache.notModified++;
+  entry.checkedAt = new Date().toISOString();
+  return structuredClone(entry.items);
+}
+
+/**
+ * Remember validators and parsed articles from a 200 response. Responses
+ * without an ETag or Last-Modified aren't cached (nothing to revalidate with).
+ */
+export function storeFeedResponse(cache, url, response, items) {
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  if (!etag && !lastModified) {
+    delete cache.feeds[url];
+    return;
+  }
+  const now = new Date().toISOString();
+  cache.feeds[url] = {
+    etag,
+    lastModified,
+    fetchedAt: now,
+    checkedAt: now,
+    items: structuredClone(items),
+  };
+}
+
+/**
+ * Persist the cache, dropping entries for feeds no longer in `activeUrls`.
+ */
+export function saveFeedCache(cache, activeUrls) {
+  const feeds = Object.fromEntries(
+    Object.entries(cache.feeds).filter(([url]) => activeUrls.has(url))
+  );
+  const payload = {
+    version: CACHE_VERSION,
+    updatedAt: new Date().toISOString(),
+    feeds,
+  };
+  try {
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(payload), 'utf-8');
+  } catch (error) {
+    console.warn(`Failed to write feed-cache.json: ${error.message}`);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * PAI AeroNews - Feed Date Parsing
+ *
+ * Feeds publish dates in every shape RFC 822 allows and several it doesn't:
+ * missing weekdays or seconds, two-digit years, full month names, timezone
+ * abbreviations ("EDT", "CEST"), "+05:30" offsets, or W3C/ISO dc:date.
+ * `new Date()` rejects many of these, so parseFeedDate tries the strict
+ * formats itself and only then falls back to Date.parse.
+ *
+ * Unparseable or implausible dates come back as null so callers can flag
+ * the article instead of stamping it "now".
+ */
+
+// Offsets in minutes for the abbreviations feeds actually use
+const TIMEZONES = {
+  UT: 0, UTC: 0, GMT: 0, Z: 0, WET: 0,
+  BST: 60, IST: 330, WEST: 60, CET: 60, CEST: 120, MET: 60, MEST: 120,
+  EET: 120, EEST: 180, MSK: 180,
+  EST: -300, EDT: -240, CST: -360, CDT: -300,
+  MST: -420, MDT: -360, PST: -480, PDT: -420,
+  AKST: -540, AKDT: -480, HST: -600,
+  JST: 540, KST: 540, HKT: 480, SGT: 480,
+  AEST: 600, AEDT: 660, ACST: 570, ACDT: 630, AWST: 480,
+  NZST: 720, NZDT: 780,
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+// Anything earlier is a parser artifact (epoch 0, "0001-01-01"), not news
+const MIN_YEAR = 1990;
+
+// 01 May 2024 10:00[:00] [zone]   (weekday already stripped)
+const RFC822 = /^(\d{1,2})[\s-]+([a-z]+)\.?[\s-]+(\d{4}|\d{2})(?!\d)(?:[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(.*)$/i;
+// May 1, 2024 [at] [10:00[:00] [am|pm]] [zone]
+const MONTH_FIRST = /^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?:,?\s+(?:at\s+)?(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*(.*)$/i;
+
+/**
+ * Offset in minutes for a zone string ("EDT", "+0530", "-05:00", "GMT+2").
+ * Empty or unrecognized zones are treated as UTC.
+ */
+function zoneOffset(zone) {
+  const z = zone.trim().replace(/^\((.*)\)$/, '$1');
+  if (!z) return 0;
+
+  const numeric = /^(?:(?:GMT|UTC|UT)\s*)?([+-])(\d{1,2}):?(\d{2})?$/i.exec(z);
+  if (numeric) {
+    const minutes = parseInt(numeric[2], 10) * 60 + parseInt(numeric[3] || '0', 10);
+    return numeric[1] === '-' ? -minutes : minutes;
+  }
+
+  const abbreviation = z.split(/\s+/)[0].toUpperCase();
+  return TIMEZONES[abbreviation] ?? 0;
+}
+
+/**
+ * Build a Date from parsed parts, or null if the parts are out of range.
+ */
+function fromParts({ year, month, day, hour = 0, minute = 0, second = 0, offset }) {
+  if (month === undefined) return null;
+  if (year < 100) year += year < 50 ? 2000 : 1900;
+  if (day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) return null;
+  const ms = Date.UTC(year, month, day, hour, minute, second) - offset * 60000;
+  return new Date(ms);
+}
+
+function parseRfc822(text) {
+  const m = RFC822.exec(text);
+  if (!m) return null;
+  return fromParts({
+    day: parseInt(m[1], 10),
+    month: MONTHS[m[2].toLowerCase().slice(0, 3)],
+    year: parseInt(m[3], 10),
+    hour: parseInt(m[4] || '0', 10),
+    minute: parseInt(m[5] || '0', 10),
+    second: parseInt(m[6] || '0', 10),
+    offset: zoneOffset(m[7]),
+  });
+}
+
+function parseMonthFirst(text) {
+  const m = MONTH_FIRST.exec(text);
+  if (!m) return null;
+  let hour = parseInt(m[4] || '0', 10);
+  const meridiem = m[7]?.toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  return fromParts({
+    month: MONTHS[m[1].toLowerCase().slice(0, 3)],
+    day: parseInt(m[2], 10),
+    year: parseInt(m[3], 10),
+    hour,
+    minute: parseInt(m[5] || '0', 10),
+    second: parseInt(m[6] || '0', 10),
+    offset: zoneOffset(m[8]),
+  });
+}
+
+/**
+ * Pull the date text out of a parsed XML value (string, number,
+ * `{ '#text': ... }` node or array of those).
+ */
+function dateText(value) {
+  if (Array.isArray(value)) return dateText(value[0]);
+  if (value && typeof value === 'object') return dateText(value['#text']);
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Parse a feed date. Returns a Date, or null when the value is missing,
+ * unparseable or before MIN_YEAR.
+ *
+ * @param {*} value - pubDate / published / updated / dc:date as parsed
+ * @returns {Date|null}
+ */
+export function parseFeedDate(value) {
+  const text = dateText(value);
+  if (!text) return null;
+
+  let date = null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    // W3CDTF / ISO 8601 (Atom, dc:date); a space separator is common too
+    date = new Date(text.replace(/^(\S+)\s+(\d)/, '$1T$2'));
+  } else {
+    const stripped = text.replace(/^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+    date = parseRfc822(stripped) || parseMonthFirst(stripped) || new Date(text);
+  }
+
+  if (!date || Number.isNaN(date.getTime()) || date.getUTCFullYear() < MIN_YEAR) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Clamp dates in the future (wrong timezone, scheduled posts) to `now`,
+ * allowing `toleranceMs` of clock skew.
+ *
+ * @returns {{date: Date, clamped: boolean}}
+ */
+export function clampFutureDate(date, now = new Date(), toleranceMs = 10 * 60 * 1000) {
+  if (date.getTime() > now.getTime() + toleranceMs) {
+    return { date: new Date(now.getTime()), clamped: true };
+  }
+  return { date, clamped: false };
+}
@@ -0,0 +1,181 @@
+/**
+ * PAI AeroNews - Feed Health Tracking
+ *
+ * Persists per-feed health in dist/feed-health.json: last success, consecutive
+ * failures, last error, average item count and last fetch latency.
+ *
+ * A feed that fails `quarantineAfterFailures` times in a row is quarantined:
+ * it is skipped until its next probe time, which doubles after every failed
+ * probe (capped at `maxProbeIntervalHours`). One success clears it.
+ *
+ * Each run also writes dist/feed-health-summary.json listing degraded and
+ * quarantined feeds so dead sources in sources.json are visible without
+ * reading Action logs.
+ *
+ * Settings (sources.json → settings.feedHealth):
+ *   quarantineAfterFailures  default 5
+ *   probeIntervalHours       default 1
+ *   maxProbeIntervalHours    default 48
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HEALTH_PATH = path.join(__dirname, '..', 'dist', 'feed-health.json');
+const SUMMARY_PATH = path.join(__dirname, '..', 'dist', 'feed-health-summary.json');
+
+const DEFAULTS = {
+  quarantineAfterFailures: 5,
+  probeIntervalHours: 1,
+  maxProbeIntervalHours: 48,
+};
+
+// Weight of the newest sample in the item-count moving average
+const AVG_ALPHA = 0.3;
+
+/**
+ * Load feed health records. Missing or corrupted files start empty.
+ *
+ * @param {object} [settings] - sources.json settings.feedHealth
+ */
+export function loadFeedHealth(settings = {}) {
+  let feeds = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(HEALTH_PATH, 'utf-8'));
+    if (data.feeds && typeof data.feeds === 'object') feeds = data.feeds;
+  } catch {
+    // File missing or corrupted — start fresh
+  }
+  return { feeds, config: { ...DEFAULTS, ...settings } };
+}
+
+/**
+ * Get (or create) the health record for a feed, keyed by URL.
+ */
+function recordFor(health, feed) {
+  if (!health.feeds[feed.url]) {
+    health.feeds[feed.url] = {
+      name: feed.name,
+      lastSuccessAt: null,
+      lastAttemptAt: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      avgItemCount: null,
+      lastItemCount: null,
+      lastLatencyMs: null,
+      quarantined: false,
+      nextProbeAt: null,
+    };
+  }
+  const record = health.feeds[feed.url];
+  record.name = feed.name;
+  return record;
+}
+
+/**
+ * Whether a feed should be fetched this run. Quarantined feeds are only
+ * fetched once their next probe time has passed.
+ */
+export function isFeedDue(health, feed, now = Date.now()) {
+  const record = health.feeds[feed.url];
+  if (!record?.quarantined) return true;
+  return !record.nextProbeAt || new Date(record.nextProbeAt).getTime() <= now;
+}
+
+/**
+ * Record a successful fetch. Clears any quarantine.
+ */
+export function recordFeedSuccess(health, feed, itemCount, latencyMs) {
+  const record = recordFor(health, feed);
+  const now = new Date().toISOString();
+  if (record.quarantined) {
+    console.log(`    ↺ ${feed.name} recovered from quarantine`);
+  }
+  record.lastAttemptAt = now;
+  record.lastSuccessAt = now;
+  record.consecutiveFailures = 0;
+  record.lastError = null;
+  record.lastItemCount = itemCount;
+  record.avgItemCount = record.avgItemCount === null
+    ? itemCount
+    : Math.round((AVG_ALPHA * itemCount + (1 - AVG_ALPHA) * record.avgItemCount) * 10) / 10;
+  record.lastLatencyMs = latencyMs;
+  record.quarantined = false;
+  record.nextProbeAt = null;
+}
+
+/**
+ * Record a failed fetch, quarantining the feed once it has failed
+ * `quarantineAfterFailures` times in a row.
+ */
+export function recordFeedFailure(health, feed, error, latencyMs) {
+  const { quarantineAfterFailures, probeIntervalHours, maxProbeIntervalHours } = health.config;
+  const record = recordFor(health, feed);
+  record.lastAttemptAt = new Date().toISOString();
+  record.consecutiveFailures += 1;
+  record.lastError = error;
+  record.lastLatencyMs = latencyMs;
+
+  if (record.consecutiveFailures >= quarantineAfterFailures) {
+    const probes = record.consecutiveFailures - quarantineAfterFailures;
+    const hours = Math.min(maxProbeIntervalHours, probeIntervalHours * 2 ** probes);
+    if (!record.quarantined) {
+      console.warn(`    ⛔ ${feed.name} quarantined after ${record.consecutiveFailures} consecutive failures`);
+    }
+    record.quarantined = true;
+    record.nextProbeAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+  }
+}
+
+/**
+ * Persist health records for the configured feeds and write the
+ * degraded-feed summary. Returns the summary.
+ *
+ * @param {object} health
+ * @param {Array} feeds - Enabled feeds from sources.json (records for others are dropped)
+ */
+export function saveFeedHealth(health, feeds) {
+  const activeUrls = new Set(feeds.map(f => f.url));
+  const records = Object.fromEntries(
+    Object.entries(health.feeds).filter(([url]) => activeUrls.has(url))
+  );
+
+  const degraded = [];
+  const quarantined = [];
+  for (const [url, record] of Object.entries(records)) {
+    const entry = {
+      name: record.name,
+      url,
+      consecutiveFailures: record.consecutiveFailures,
+      lastError: record.lastError,
+      lastSuccessAt: record.lastSuccessAt,
+    };
+    if (record.quarantined) {
+      quarantined.push({ ...entry, nextProbeAt: record.nextProbeAt });
+    } else if (record.consecutiveFailures > 0 || record.lastItemCount === 0) {
+      degraded.push({ ...entry, lastItemCount: record.lastItemCount });
+    }
+  }
+
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    totalFeeds: feeds.length,
+    healthy: feeds.length - degraded.length - quarantined.length,
+    degraded,
+    quarantined,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(HEALTH_PATH), { recursive: true });
+    fs.writeFileSync(HEALTH_PATH, JSON.stringify({ updatedAt: summary.generatedAt, feeds: records }, null, 2), 'utf-8');
+    fs.writeFileSync(SUMMARY_PATH, JSON.stringify(summary, null, 2), 'utf-8');
+  } catch (error) {
+    console.warn(`Failed to write feed health files: ${error.message}`);
+  }
+
+  return summary;
+}
@@ -0,0 +1,325 @@
+/**
+ * PAI AeroNews - Feed Parsing
+ *
+ * Turns a feed response body into normalized articles. Supported
+ * feed.type values (sources.json):
+ *
+ *   rss            RSS 2.0, Atom and RDF (the default)
+ *   jsonfeed       JSON Feed 1.0/1.1
+ *   news-sitemap   Google News sitemap (<urlset> with <news:news>)
+ *
+ * Every normalizer returns the same article shape (see buildArticle) and
+ * takes the run's start time, which future-dated items are clamped to.
+ * Fetching, caching and scheduling stay in fetch-rss.js.
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { canonicalizeUrl } from './url-canon.js';
+import { parseFeedDate, clampFutureDate } from './feed-dates.js';
+import { extractEntities, entityKeywords } from './entities.js';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+});
+
+/**
+ * Split a feed response body into raw items plus the normalizer for them,
+ * according to feed.type ("rss" covers RSS 2.0, Atom and RDF). The
+ * normalizer is called as normalize(item, feed, runStartedAt) and may throw
+ * for an unusable item.
+ */
+export function parseFeedItems(body, feed) {
+  const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+  const type = feed.type || 'rss';
+
+  if (type === 'jsonfeed') {
+    const data = JSON.parse(body);
+    if (!Array.isArray(data.items) || !String(data.version || '').startsWith('https://jsonfeed.org/version/')) {
+      throw new Error('Response is not a JSON Feed');
+    }
+    return { items: data.items, normalize: normalizeJsonFeedItem };
+  }
+
+  if (type === 'news-sitemap') {
+    const parsed = parser.parse(body);
+    if (!parsed.urlset) throw new Error('Response is not a sitemap urlset');
+    return { items: asArray(parsed.urlset.url), normalize: normalizeSitemapEntry };
+  }
+
+  if (type !== 'rss') throw new Error(`Unknown feed type "${type}"`);
+
+  // Handle different RSS formats
+  const parsed = parser.parse(body);
+  let items = [];
+  if (parsed.rss?.channel?.item) {
+    items = asArray(parsed.rss.channel.item);
+  } else if (parsed.feed?.entry) {
+    // Atom format
+    items = asArray(parsed.feed.entry);
+  } else if (parsed.rdf?.item) {
+    // RDF format
+    items = asArray(parsed.rdf.item);
+  }
+  return { items, normalize: normalizeArticle };
+}
+
+/**
+ * Return an absolute http(s) URL resolved against `baseUrl`, or null.
+ */
+function resolveHttpUrl(src, baseUrl) {
+  if (!src || typeof src !== 'string') return null;
+  try {
+    const url = new URL(src.trim(), baseUrl || undefined);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract a thumbnail for a feed item: media:content (largest image),
+ * media:thumbnail, an image enclosure, then the first <img> in the HTML body.
+ */
+function extractImage(item, baseUrl) {
+  const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+  const group = asArray(item['media:group'])[0] || {};
+
+  const mediaContent = [...asArray(item['media:content']), ...asArray(group['media:content'])]
+    .filter(m => m?.['@_url'] && (m['@_medium'] === 'image'
+      || (m['@_type'] || '').startsWith('image/')
+      || (!m['@_medium'] && !m['@_type'] && /\.(jpe?g|png|gif|webp)(\?|$)/i.test(m['@_url']))))
+    .sort((a, b) => (parseInt(b['@_width'], 10) || 0) - (parseInt(a['@_width'], 10) || 0));
+  const candidates = [
+    mediaContent[0]?.['@_url'],
+    ...[...asArray(item['media:thumbnail']), ...asArray(group['media:thumbnail'])].map(t => t?.['@_url']),
+    ...asArray(item.enclosure)
+      .filter(e => (e?.['@_type'] || '').startsWith('image/'))
+      .map(e => e['@_url']),
+  ];
+
+  for (const html of [item['content:encoded'], item.content, item.description, item.summary]) {
+    const text = typeof html === 'object' ? html?.['#text'] : html;
+    const match = typeof text === 'string' && /<img[^>]+src=["']([^"']+)["']/i.exec(text);
+    if (match) candidates.push(decodeHtmlEntities(match[1]));
+  }
+
+  for (const candidate of candidates) {
+    const url = resolveHttpUrl(candidate, baseUrl);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * Normalize article from different RSS formats
+ */
+export function normalizeArticle(item, feed, runStartedAt = new Date()) {
+  // Handle title
+  let title = item.title || item['dc:title'] || 'Untitled';
+  if (typeof title === 'object') title = title['#text'] || 'Untitled';
+
+  // Handle description
+  let description = item.description || item.summary || item.content || item['content:encoded'] || '';
+  if (typeof description === 'object') description = description['#text'] || '';
+
+  // Handle link (Atom uses different structure; with several <link>s,
+  // prefer the rel="alternate" HTML one over enclosures and the like)
+  let link = item.link || '';
+  if (Array.isArray(link)) {
+    link = link.find(l => (l['@_rel'] || 'alternate') === 'alternate' && (!l['@_type'] || l['@_type'] === 'text/html'))
+      || link[0];
+  }
+  if (typeof link === 'object') {
+    link = link['@_href'] || link['#text'] || '';
+  }
+  link = canonicalizeUrl(link);
+
+  return buildArticle({
+    title,
+    description,
+    link,
+    date: item.pubDate || item.published || item.updated || item['dc:date'],
+    image: feed.images === false ? null : extractImage(item, link),
+  }, feed, runStartedAt);
+}
+
+/**
+ * Normalize a JSON Feed (1.0/1.1) item
+ */
+export function normalizeJsonFeedItem(item, feed, runStartedAt = new Date()) {
+  const link = canonicalizeUrl(resolveHttpUrl(item.url || item.external_url, feed.url) || '');
+  if (!link) throw new Error(`JSON Feed item ${item.id ?? ''} has no URL`);
+  const description = item.summary || item.content_html || item.content_text || '';
+
+  let image = null;
+  if (feed.images !== false) {
+    image = resolveHttpUrl(item.image || item.banner_image, link)
+      || extractImage({ 'content:encoded': item.content_html }, link);
+  }
+
+  return buildArticle({
+    title: item.title || cleanDescription(item.content_text || item.content_html || '').slice(0, 120) || 'Untitled',
+    description,
+    link,
+    date: item.date_published || item.date_modified,
+    image,
+  }, feed, runStartedAt);
+}
+
+/**
+ * Normalize a Google News sitemap <url> entry
+ */
+export function normalizeSitemapEntry(entry, feed, runStartedAt = new Date()) {
+  const news = entry['news:news'] || {};
+  const link = canonicalizeUrl(String(entry.loc || '').trim());
+  if (!link) throw new Error('sitemap entry has no <loc>');
+  const title = news['news:title'] || 'Untitled';
+  const keywords = typeof news['news:keywords'] === 'string' ? news['news:keywords'] : '';
+
+  let image = null;
+  if (feed.images !== false) {
+    const images = Array.isArray(entry['image:image']) ? entry['image:image'] : [entry['image:image']];
+    image = resolveHttpUrl(images[0]?.['image:loc'], link);
+  }
+
+  return buildArticle({
+    title,
+    description: '',
+    keywordText: keywords.replace(/,/g, ' '),
+    link,
+    date: news['news:publication_date'] || entry.lastmod,
+    image,
+  }, feed, runStartedAt);
+}
+
+/**
+ * Build the common article shape shared by every feed type.
+ * `description` may be HTML; `keywordText` adds text for entity extraction only.
+ */
+function buildArticle({ title, description, keywordText = '', link, date, image }, feed, runStartedAt) {
+  // Handle date — missing/unparseable dates are flagged rather than stamped "now",
+  // future dates (bad timezones, scheduled posts) are clamped to now
+  const parsedDate = parseFeedDate(date);
+  const publishedAt = parsedDate ? clampFutureDate(parsedDate, runStartedAt).date.toISOString() : null;
+
+  // Match entities on visible text only, not tag attributes or image URLs
+  const entityText = decodeHtmlEntities(`${title} ${description} ${keywordText}`.replace(/<[^>]*>/g, ' '));
+  const entities = extractEntities(entityText);
+
+  return {
+    id: generateId(title, link),
+    headline: cleanHeadline(title),
+    blurb: cleanDescription(description),
+    source: {
+      name: feed.name,
+      url: link,
+    },
+    category: feed.category,
+    publishedAt,
+    ...(publishedAt ? {} : { dateMissing: true }),
+    ...(image ? { image } : {}),
+    takeaway: null, // Will be filled by AI
+    keywords: entityKeywords(entities),
+    entities,
+  };
+}
+
+/**
+ * Generate a unique ID for an article
+ */
+export function generateId(title, url) {
+  const str = `${title}-${url}`;
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash).toString(36);
+}
+
+/**
+ * Decode HTML entities (both named and numeric)
+ */
+function decodeHtmlEntities(text) {
+  if (!text) return '';
+  return text
+    // Decode numeric entities like &#8216; &#8217; &#124;
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
+    // Decode hex entities like &#x2019;
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    // Decode common named entities
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&mdash;/g, '\u2014')
+    .replace(/&ndash;/g, '\u2013')
+    .replace(/&hellip;/g, '...')
+    .replace(/&lsquo;/g, '\u2018')
+    .replace(/&rsquo;/g, '\u2019')
+    .replace(/&ldquo;/g, '\u201C')
+    .replace(/&rdquo;/g, '\u201D');
+}
+
+/**
+ * Clean headline text
+ */
+function cleanHeadline(title) {
+  if (!title) return 'Aviation News';
+
+  let cleaned = title;
+
+  // Remove HTML tags first
+  cleaned = cleaned.replace(/<[^>]*>/g, '');
+
+  // Decode HTML entities
+  cleaned = decodeHtmlEntities(cleaned);
+
+  // Remove source suffix like " - CNN" or " | Reuters"
+  // Only if the suffix looks like a source name (short, at end, after space-dash-space)
+  // Be careful not to remove things like "F-35" or "737-800"
+  cleaned = cleaned.replace(/\s+[-–—|]\s+[A-Z][A-Za-z\s]{2,20}$/, '');
+
+  // Normalize whitespace and trim
+  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+  return cleaned;
+}
+
+/**
+ * Clean description text
+ */
+function cleanDescription(description) {
+  if (!description) return '';
+
+  let cleaned = description;
+
+  // Remove HTML tags
+  cleaned = cleaned.replace(/<[^>]*>/g, '');
+
+  // Decode HTML entities
+  cleaned = decodeHtmlEntities(cleaned);
+
+  // Normalize whitespace and trim
+  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+  // Strip WordPress "The post ... appeared first on ..." boilerplate
+  cleaned = cleaned.replace(/\s*The post .+ appeared first on .+\.$/, '').trim();
+
+  // Limit length
+  if (cleaned.length > 300) {
+    cleaned = cleaned.substring(0, 300).replace(/\s+\S*$/, '') + '...';
+  }
+
+  // Ensure blurb ends with terminal punctuation (handles truncated RSS excerpts)
+  if (cleaned && !/[.!?]$/.test(cleaned)) {
+    cleaned = cleaned + '...';
+  }
+
+  return cleaned;
+}
@@ -4,25 +4,46 @@
  * PAI AeroNews - RSS Feed Fetching Script
  *
  * Fetches aviation news from RSS feeds and generates static HTML.
- * Uses Anthropic Claude API to generate AI takeaways.
+ * Uses Anthropic Claude API (or another configured LLM provider) to generate AI takeaways.
  *
  * Usage:
  *   node scripts/fetch-rss.js
  *   ANTHROPIC_API_KEY=xxx node scripts/fetch-rss.js
+ *   LLM_PROVIDER=mock node scripts/fetch-rss.js           # offline takeaways, no spend
+ *   node scripts/fetch-rss.js --record snapshots/today   # save raw responses
+ *   node scripts/fetch-rss.js --replay snapshots/today   # rerun offline from them
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { XMLParser } from 'fast-xml-parser';
-import { canSpendClaude, recordClaudeCalls, claudeCallsRemaining } from './usage-limit.js';
+import { canSpendClaude, claudeCallsRemaining } from './usage-limit.js';
+import { callClaude, llmAvailable } from './claude-client.js';
+import { buildPrompt, promptVersionFor } from './prompts.js';
+import { loadTakeawayCache, lookupTakeaway, storeTakeaway, saveTakeawayCache } from './takeaway-cache.js';
+import { loadFeedCache, conditionalHeaders, cachedFeedItems, storeFeedResponse, saveFeedCache } from './feed-cache.js';
+import { balanceArticles } from './diversity.js';
+import { archiveArticles } from './archive.js';
+import { clusterStories } from './story-clusters.js';
+import { urlKey } from './url-canon.js';
+import { parseFeedDate } from './feed-dates.js';
+import { parseFeedItems, generateId } from './feed-parsing.js';
+import { loadFeedHealth, isFeedDue, recordFeedSuccess, recordFeedFailure, saveFeedHealth } from './feed-health.js';
+import { setupRecordReplay, isReplaying, random } from './record-replay.js';
+import { applyContentRules } from './content-rules.js';
+import { routeCategories } from './category-routing.js';
+import { extractEntities, entityKeywords } from './entities.js';
+import { scheduledFetch } from './fetch-scheduler.js';
+import { enrichFullText } from './full-text.js';
+import { takeawayValidationRules, validateTakeaway } from './takeaway-validator.js';
+import { importanceConfig, scoreArticles, byScore } from './importance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
 const CONFIG = {
-  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
   teamsWebhookUrl: process.env.TEAMS_WEBHOOK_URL,
   slackWebhookUrl: process.env.SLACK_WEBHOOK_URL,
   outputDir: path.join(__dirname, '..', 'dist'),
@@ -33,6 +54,10 @@ const CONFIG = {
   scrollDuration: 60, // seconds for full scroll cycle
 };
 
+// Start of this run; future-dated items are clamped to it. Reset in main()
+// once --replay has frozen the clock.
+let runStartedAt = new Date();
+
 // Category display names and colors
 const VALID_CATEGORIES = new Set([
   'general-aviation', 'commercial', 'business-aviation', 'industry',
@@ -127,7 +152,7 @@ function selectPaiBlogArticles(blogArticles, max) {
   }
 
   // Shuffle and pick unique items up to max
-  const shuffled = weighted.sort(() => Math.random() - 0.5);
+  const shuffled = weighted.sort(() => random() - 0.5);
   const selected = [];
   const seen = new Set();
   for (const article of shuffled) {
@@ -156,14 +181,14 @@ function selectPaiVideos(videos, max, newsKeywords) {
   });
 
   // Sort by overlap descending, then shuffle ties
-  scored.sort((a, b) => b.overlap - a.overlap || (Math.random() - 0.5));
+  scored.sort((a, b) => b.overlap - a.overlap || (random() - 0.5));
 
   return scored.slice(0, max).map(s => s.video);
 }
 
 /**
  * Fetch YouTube playlist feeds and convert entries to video objects.
- * Runs all feeds in parallel; failures are logged and skipped.
+ * Runs through the fetch scheduler; failures are logged and skipped.
  */
 async function fetchYoutubeFeeds(youtubeFeeds, existingVideoUrls) {
   const activeFeeds = (youtubeFeeds || []).filter(f => f.active);
@@ -180,12 +205,12 @@ async function fetchYoutubeFeeds(youtubeFeeds, existingVideoUrls) {
     const url = `https://www.youtube.com/feeds/videos.xml?playlist_id=${feed.playlistId}`;
     console.log(`  Fetching: ${feed.name}...`);
 
-    const response = await fetch(url, {
+    const response = await scheduledFetch(url, {
       headers: {
         'User-Agent': 'PAI-AeroNews/1.0 (Aviation News Aggregator)',
         'Accept': 'application/xml, text/xml, */*',
       },
-      signal: AbortSignal.timeout(15000),
+      label: feed.name,
     });
 
     if (!response.ok) {
@@ -236,6 +261,12 @@ async function fetchYoutubeFeeds(youtubeFeeds, existingVideoUrls) {
         ? (entry.title['#text'] || '')
         : (entry.title || '');
 
+      // Thumbnail from media:group (feeds can opt out with "images": false)
+      const thumbnail = entry['media:group']?.['media:thumbnail'];
+      const image = feed.images === false
+        ? null
+        : (Array.isArray(thumbnail) ? thumbnail[0] : thumbnail)?.['@_url'] || null;
+
       videos.push({
         id: `yt-auto-${videoId}`,
         headline: title,
@@ -243,6 +274,7 @@ async function fetchYoutubeFeeds(youtubeFeeds, existingVideoUrls) {
         youtubeUrl: videoUrl,
         channel: feed.channelName,
         duration: '',
+        image,
         category: feed.category,
         matchKeywords: feed.matchKeywords || [],
         active: true,
@@ -317,6 +349,7 @@ function convertVideoToArticle(video) {
     publishedAt: new Date().toISOString(),
     videoContent: true,
     duration: video.duration || '',
+    ...(video.image ? { image: video.image } : {}),
   };
 }
 
@@ -327,7 +360,7 @@ function selectCuratedArticles(curatedArticles, max) {
   const active = curatedArticles.filter(a => a.active);
   if (active.length === 0 || max <= 0) return [];
 
-  const shuffled = [...active].sort(() => Math.random() - 0.5);
+  const shuffled = [...active].sort(() => random() - 0.5);
   return shuffled.slice(0, max);
 }
 
@@ -361,8 +394,8 @@ function mergePaiItems(articles, paiItems) {
   if (paiItems.length === 0) return articles;
 
   const result = [...articles];
-  const startPos = 3 + Math.floor(Math.random() * 3); // position 3-5
-  const spacing = 4 + Math.floor(Math.random() * 2);   // 4-5 apart
+  const startPos = 3 + Math.floor(random() * 3); // position 3-5
+  const spacing = 4 + Math.floor(random() * 2);   // 4-5 apart
 
   for (let i = 0; i < paiItems.length; i++) {
     const insertAt = Math.min(startPos + i * spacing, result.length);
@@ -372,374 +405,374 @@ function mergePaiItems(articles, paiItems) {
   return result;
 }
 
+// Accept headers by feed.type
+const FEED_ACCEPT = {
+  'rss': 'application/rss+xml, application/xml, text/xml, */*',
+  'jsonfeed': 'application/feed+json, application/json, */*',
+  'news-sitemap': 'application/xml, text/xml, */*',
+};
+
 /**
- * Fetch and parse a single RSS feed
+ * Fetch and parse a single feed (RSS/Atom/RDF, JSON Feed or news sitemap).
+ * Sends conditional headers from `feedCache` and reuses its articles on a 304.
+ * Outcome, item count and latency are recorded in `feedHealth`.
  */
-async function fetchFeed(feed) {
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: '@_',
-  });
-
+async function fetchFeed(feed, { feedCache, feedHealth } = {}) {
+  const startedAt = Date.now();
   try {
     console.log(`  Fetching: ${feed.name}...`);
-    const response = await fetch(feed.url, {
+    // Per-feed timeoutMs / maxRetries override settings.fetch
+    const response = await scheduledFetch(feed.url, {
       headers: {
         'User-Agent': 'PAI-AeroNews/1.0 (Aviation News Aggregator)',
-        'Accept': 'application/rss+xml, application/xml, text/xml, */*',
+        'Accept': FEED_ACCEPT[feed.type] || FEED_ACCEPT.rss,
+        ...(feedCache ? conditionalHeaders(feedCache, feed.url) : {}),
       },
-      signal: AbortSignal.timeout(15000), // 15 second timeout
+      timeoutMs: feed.timeoutMs,
+      maxRetries: feed.maxRetries,
+      label: feed.name,
     });
 
+    if (response.status === 304 && feedCache) {
+      const cachedArticles = cachedFeedItems(feedCache, feed.url);
+      if (cachedArticles) {
+        console.log(`    ✓ Not modified, reusing ${cachedArticles.length} cached articles`);
+        if (feedHealth) recordFeedSuccess(feedHealth, feed, cachedArticles.length, Date.now() - startedAt);
+        return cachedArticles;
+      }
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const xml = await response.text();
-    const parsed = parser.parse(xml);
+    const body = await response.text();
+    const { items, normalize } = parseFeedItems(body, feed);
 
-    // Handle different RSS formats
-    let items = [];
-    if (parsed.rss?.channel?.item) {
-      items = Array.isArray(parsed.rss.channel.item)
-        ? parsed.rss.channel.item
-        : [parsed.rss.channel.item];
-    } else if (parsed.feed?.entry) {
-      // Atom format
-      items = Array.isArray(parsed.feed.entry)
-        ? parsed.feed.entry
-        : [parsed.feed.entry];
-    } else if (parsed.rdf?.item) {
-      // RDF format
-      items = Array.isArray(parsed.rdf.item)
-        ? parsed.rdf.item
-        : [parsed.rdf.item];
+    // Normalize items to common format; one malformed item shouldn't drop the feed
+    const articles = [];
+    for (const item of items) {
+      try {
+        articles.push(normalize(item, feed, runStartedAt));
+      } catch (error) {
+        console.warn(`    ⚠ Skipping malformed item from ${feed.name}: ${error.message}`);
+      }
     }
-
-    // Normalize items to common format
-    const articles = items.map(item => normalizeArticle(item, feed));
+    const undated = articles.filter(a => a.dateMissing).length;
+    if (undated > 0) {
+      console.warn(`    ⚠ ${undated} item(s) from ${feed.name} have no parseable date`);
+    }
+    if (feedCache) storeFeedResponse(feedCache, feed.url, response, articles);
+    if (feedHealth) recordFeedSuccess(feedHealth, feed, articles.length, Date.now() - startedAt);
     console.log(`    ✓ Found ${articles.length} articles`);
     return articles;
 
   } catch (error) {
     console.warn(`    ✗ Failed to fetch ${feed.name}: ${error.message}`);
+    if (feedHealth) recordFeedFailure(feedHealth, feed, error.message, Date.now() - startedAt);
     return [];
   }
 }
 
 /**
- * Normalize article from different RSS formats
+ * Daily Claude API call cap for the public pipeline.
  */
-function normalizeArticle(item, feed) {
-  // Handle title
-  let title = item.title || item['dc:title'] || 'Untitled';
-  if (typeof title === 'object') title = title['#text'] || 'Untitled';
-
-  // Handle description
-  let description = item.description || item.summary || item.content || item['content:encoded'] || '';
-  if (typeof description === 'object') description = description['#text'] || '';
-
-  // Handle link (Atom uses different structure)
-  let link = item.link || '';
-  if (typeof link === 'object') {
-    link = link['@_href'] || link['#text'] || '';
-  }
-  if (Array.isArray(link)) {
-    const htmlLink = link.find(l => l['@_type'] === 'text/html' || !l['@_type']);
-    link = htmlLink ? (htmlLink['@_href'] || htmlLink) : link[0];
-    if (typeof link === 'object') link = link['@_href'] || '';
-  }
+const CLAUDE_PUBLIC_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_PUBLIC || '900', 10);
 
-  // Handle date
-  let pubDate = item.pubDate || item.published || item.updated || item['dc:date'] || new Date().toISOString();
+// Takeaway validation rules (settings.takeawayValidation, set in generateHTML)
+// and this run's counts of rejected / corrected takeaways
+let takeawayRules = takeawayValidationRules();
+const takeawayStats = { rejected: 0, corrected: 0 };
 
-  return {
-    id: generateId(title, link),
-    headline: cleanHeadline(title),
-    blurb: cleanDescription(description),
-    source: {
-      name: feed.name,
-      url: link,
-    },
-    category: feed.category,
-    publishedAt: new Date(pubDate).toISOString(),
-    takeaway: null, // Will be filled by AI
-    keywords: extractKeywords(title + ' ' + description),
-  };
-}
+const CATEGORY_LIST = [...VALID_CATEGORIES].join(', ');
 
 /**
- * Generate a unique ID for an article
+ * Apply a Claude-suggested category unless a category routing rule already
+ * assigned one (rules are deterministic and win).
  */
-function generateId(title, url) {
-  const str = `${title}-${url}`;
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36);
+function applyClaudeCategory(article, category) {
+  if (category && !article.categoryRule) article.category = category;
 }
 
 /**
- * Decode HTML entities (both named and numeric)
+ * Set a Claude takeaway on `article`, recording the prompt version that
+ * produced it (and the correction prompt, if one rewrote it), and store it
+ * in `cache`.
  */
-function decodeHtmlEntities(text) {
-  if (!text) return '';
-  return text
-    // Decode numeric entities like &#8216; &#8217; &#124;
-    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
-    // Decode hex entities like &#x2019;
-    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
-    // Decode common named entities
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&apos;/g, "'")
-    .replace(/&#39;/g, "'")
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&mdash;/g, '\u2014')
-    .replace(/&ndash;/g, '\u2013')
-    .replace(/&hellip;/g, '...')
-    .replace(/&lsquo;/g, '\u2018')
-    .replace(/&rsquo;/g, '\u2019')
-    .replace(/&ldquo;/g, '\u201C')
-    .replace(/&rdquo;/g, '\u201D');
+function acceptTakeaway(article, cache, { takeaway, category, promptVersion, correctionPromptVersion = null }) {
+  article.takeaway = takeaway;
+  article.takeawayPromptVersion = promptVersion;
+  if (correctionPromptVersion) article.takeawayCorrectionPromptVersion = correctionPromptVersion;
+  applyClaudeCategory(article, category);
+  if (cache) storeTakeaway(cache, article, takeaway, category, promptVersion, correctionPromptVersion);
 }
 
 /**
- * Clean headline text
+ * Generate AI takeaway via the shared Claude client, from the `takeaway`
+ * prompt template. Enforces a hard daily call cap — falls back gracefully
+ * when exceeded. Successful Claude takeaways are written to `cache`;
+ * fallbacks are not.
  */
-function cleanHeadline(title) {
-  if (!title) return 'Aviation News';
-
-  let cleaned = title;
+async function generateTakeaway(article, cache) {
+  if (!llmAvailable()) {
+    return createFallbackTakeaway(article);
+  }
 
-  // Remove HTML tags first
-  cleaned = cleaned.replace(/<[^>]*>/g, '');
+  // Hard daily cap check (replayed responses cost nothing)
+  if (!isReplaying() && !canSpendClaude(1, CLAUDE_PUBLIC_CAP)) {
+    if (!generateTakeaway._capLogged) {
+      const remaining = claudeCallsRemaining(CLAUDE_PUBLIC_CAP);
+      console.warn(`⚠ CLAUDE DAILY CAP REACHED (public pipeline cap: ${CLAUDE_PUBLIC_CAP}, remaining: ${remaining}). Using fallback takeaways for remaining articles.`);
+      generateTakeaway._capLogged = true;
+    }
+    return createFallbackTakeaway(article);
+  }
 
-  // Decode HTML entities
-  cleaned = decodeHtmlEntities(cleaned);
+  const built = buildPrompt('takeaway', article.id, {
+    categories: CATEGORY_LIST,
+    category: article.category,
+    headline: article.headline,
+    description: article.blurb || 'No description available',
+    bodyText: article.bodyText,
+  });
+  if (!built) return createFallbackTakeaway(article);
+
+  const response = await callClaude({
+    system: built.system,
+    prompt: built.prompt,
+    promptId: built.id,
+    promptVars: built.vars,
+    maxTokens: 150,
+    cap: CLAUDE_PUBLIC_CAP,
+  });
 
-  // Remove source suffix like " - CNN" or " | Reuters"
-  // Only if the suffix looks like a source name (short, at end, after space-dash-space)
-  // Be careful not to remove things like "F-35" or "737-800"
-  cleaned = cleaned.replace(/\s+[-–—|]\s+[A-Z][A-Za-z\s]{2,20}$/, '');
+  if (response.text) {
+    try {
+      // Try to extract JSON from the response (handle markdown code fences)
+      const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) throw new Error('No JSON object found in response');
+      const parsed = JSON.parse(jsonMatch[0]);
+
+      const takeaway = typeof parsed.takeaway === 'string' && parsed.takeaway.length > 0
+        ? parsed.takeaway
+        : null;
+      const correctedCategory = typeof parsed.category === 'string'
+        && VALID_CATEGORIES.has(parsed.category)
+        ? parsed.category
+        : null;
+
+      if (takeaway) {
+        const reasons = validateTakeaway(takeaway, article, takeawayRules);
+        if (reasons.length === 0) {
+          acceptTakeaway(article, cache, { takeaway, category: correctedCategory, promptVersion: built.id });
+          return takeaway;
+        }
 
-  // Normalize whitespace and trim
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+        const corrected = (await correctTakeaways([{ article, takeaway, reasons, promptVersion: built.id }])).get(article.id);
+        if (corrected) {
+          acceptTakeaway(article, cache, corrected);
+          return corrected.takeaway;
+        }
+      }
+    } catch (parseError) {
+      console.warn(`  ⚠ JSON parse failed for "${article.headline.substring(0, 40)}…", using fallback`);
+    }
+  } else {
+    console.warn(`AI takeaway failed for "${article.headline}":`, response.error);
+  }
 
-  return cleaned;
+  console.warn('  ⚠ Using fallback takeaway for: ' + article.headline.substring(0, 50));
+  return createFallbackTakeaway(article);
 }
 
 /**
- * Clean description text
+ * Parse a batched takeaway response into a Map of id → { takeaway, category }.
+ * Entries with an unknown id, an empty takeaway or a category outside
+ * VALID_CATEGORIES are skipped so those articles fall back individually.
  */
-function cleanDescription(description) {
-  if (!description) return '';
-
-  let cleaned = description;
-
-  // Remove HTML tags
-  cleaned = cleaned.replace(/<[^>]*>/g, '');
+function parseTakeawayBatch(rawText, batchIds) {
+  const results = new Map();
+
+  // Tolerate markdown code fences around the array
+  const jsonMatch = rawText.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) throw new Error('No JSON array found in response');
+  const parsed = JSON.parse(jsonMatch[0]);
+  if (!Array.isArray(parsed)) throw new Error('Response is not a JSON array');
+
+  for (const entry of parsed) {
+    if (!entry || typeof entry !== 'object') continue;
+    const id = typeof entry.id === 'string' ? entry.id : String(entry.id ?? '');
+    if (!batchIds.has(id) || results.has(id)) continue;
+    if (typeof entry.takeaway !== 'string' || entry.takeaway.trim().length === 0) continue;
+    if (typeof entry.category !== 'string' || !VALID_CATEGORIES.has(entry.category)) continue;
+    results.set(id, { takeaway: entry.takeaway.trim(), category: entry.category });
+  }
 
-  // Decode HTML entities
-  cleaned = decodeHtmlEntities(cleaned);
+  return results;
+}
 
-  // Normalize whitespace and trim
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+/**
+ * Ask Claude once to rewrite takeaways that failed validation, telling it
+ * what was wrong with each (the `takeaway-correction` prompt). Counts them
+ * as rejected, and returns a Map of id → { takeaway, category,
+ * promptVersion, correctionPromptVersion } with only the rewrites that now
+ * pass; promptVersion stays that of the rejected takeaway's prompt, so A/B
+ * results credit the variant being tested. One call against
+ * CLAUDE_PUBLIC_CAP; returns an empty Map when the cap is reached or the
+ * call fails, so callers fall back.
+ *
+ * @param {Array<{article: object, takeaway: string, reasons: string[], promptVersion: string}>} rejections
+ */
+async function correctTakeaways(rejections) {
+  takeawayStats.rejected += rejections.length;
+  for (const { article, reasons } of rejections) {
+    console.warn(`  ⚠ Takeaway rejected (${reasons.join('; ')}): ${article.headline.substring(0, 50)}`);
+  }
 
-  // Strip WordPress "The post ... appeared first on ..." boilerplate
-  cleaned = cleaned.replace(/\s*The post .+ appeared first on .+\.$/, '').trim();
+  const corrections = new Map();
+  if (!isReplaying() && !canSpendClaude(1, CLAUDE_PUBLIC_CAP)) return corrections;
 
-  // Limit length
-  if (cleaned.length > 300) {
-    cleaned = cleaned.substring(0, 300).replace(/\s+\S*$/, '') + '...';
+  const built = buildPrompt('takeaway-correction', rejections[0].article.id, {
+    minChars: takeawayRules.minChars,
+    maxChars: takeawayRules.maxChars,
+    categories: CATEGORY_LIST,
+    articles: rejections.map(({ article, takeaway, reasons }) => ({
+      id: article.id,
+      category: article.category,
+      headline: article.headline,
+      description: article.blurb || 'No description available',
+      takeaway,
+      problems: reasons.join('; '),
+    })),
+  });
+  if (!built) return corrections;
+
+  const response = await callClaude({
+    system: built.system,
+    prompt: built.prompt,
+    promptId: built.id,
+    promptVars: built.vars,
+    maxTokens: 120 * rejections.length + 100,
+    cap: CLAUDE_PUBLIC_CAP,
+    timeoutMs: 60000,
+  });
+  if (!response.text) {
+    console.warn(`  ⚠ Takeaway correction failed: ${response.error}`);
+    return corrections;
   }
 
-  // Ensure blurb ends with terminal punctuation (handles truncated RSS excerpts)
-  if (cleaned && !/[.!?]$/.test(cleaned)) {
-    cleaned = cleaned + '...';
+  let results;
+  try {
+    results = parseTakeawayBatch(response.text, new Set(rejections.map(r => r.article.id)));
+  } catch (parseError) {
+    console.warn(`  ⚠ Takeaway correction parse failed (${parseError.message})`);
+    return corrections;
   }
 
-  return cleaned;
-}
-
-/**
- * Extract keywords from text for future filtering
- */
-function extractKeywords(text) {
-  const keywords = [];
-  const lowerText = text.toLowerCase();
-
-  const keywordPatterns = [
-    'boeing', 'airbus', 'cessna', 'piper', 'cirrus', 'gulfstream', 'embraer',
-    'faa', 'easa', 'ntsb', 'icao',
-    'evtol', 'uam', 'drone', 'uas', 'aam',
-    'electric', 'hybrid', 'sustainable', 'saf',
-    'safety', 'crash', 'incident', 'accident',
-    'airline', 'airport', 'pilot', 'atc',
-    'nasa', 'spacex', 'space'
-  ];
-
-  for (const keyword of keywordPatterns) {
-    if (lowerText.includes(keyword)) {
-      keywords.push(keyword);
+  for (const { article, promptVersion } of rejections) {
+    const result = results.get(article.id);
+    if (result && validateTakeaway(result.takeaway, article, takeawayRules).length === 0) {
+      corrections.set(article.id, { ...result, promptVersion, correctionPromptVersion: built.id });
+      takeawayStats.corrected++;
     }
   }
-
-  return keywords;
-}
-
-/**
- * Exclude administrative/funding/contracting articles unless they have a
- * direct connection to aviation safety operations or SMS.
- *
- * Returns true if the article should be DROPPED from the public feed.
- */
-function isAdministrativeFundingNoise(article) {
-  const text = `${article.headline || ''} ${article.blurb || ''}`.toLowerCase();
-
-  const excludePatterns = [
-    'grants status request',
-    'notice of funding availability',
-    'notice of funding',
-    'funding opportunity',
-    'nofo',
-    'request for proposal',
-    'request for proposals',
-    'rfp',
-    'solicitation',
-    'cooperative agreement',
-    'contract award',
-    'contracting opportunity',
-    'grant application',
-    'grant program',
-    'grant announcement',
-    'grant funding',
-  ];
-
-  const matchedExclude = excludePatterns.some(p => text.includes(p));
-  if (!matchedExclude) return false;
-
-  // Allow-list: keep if there's a direct, specific tie to safety ops / SMS.
-  const safetyAllowPatterns = [
-    'safety management system',
-    ' sms ',
-    '(sms)',
-    'runway safety',
-    'flight safety',
-    'aviation safety',
-    'safety operations',
-    'accident',
-    'ntsb',
-    'icao safety',
-    'safety oversight',
-  ];
-
-  const paddedText = ` ${text} `;
-  const matchedAllow = safetyAllowPatterns.some(p => paddedText.includes(p));
-  return !matchedAllow;
+  return corrections;
 }
 
 /**
- * Daily Claude API call cap for the public pipeline.
+ * Generate takeaways for several articles in a single Claude request, from
+ * the `takeaway-batch` prompt template (callers group `batch` by the
+ * template version each article is assigned, see promptVersionFor).
+ * Counts as one call against CLAUDE_PUBLIC_CAP. Sets `article.takeaway`
+ * (and a corrected category) on every article in `batch`, falling back to
+ * createFallbackTakeaway per article for missing or malformed entries.
  */
-const CLAUDE_PUBLIC_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_PUBLIC || '900', 10);
-
+async function generateTakeawayBatch(batch, cache) {
+  const applyFallbacks = (articles) => {
+    for (const article of articles) {
+      article.takeaway = createFallbackTakeaway(article);
+    }
+  };
 
-/**
- * Generate AI takeaway using Anthropic Claude API.
- * Enforces a hard daily call cap — falls back gracefully when exceeded.
- */
-async function generateTakeaway(article) {
-  if (!CONFIG.anthropicApiKey) {
-    return createFallbackTakeaway(article);
+  if (!llmAvailable()) {
+    applyFallbacks(batch);
+    return;
   }
 
-  // Hard daily cap check
-  if (!canSpendClaude(1, CLAUDE_PUBLIC_CAP)) {
+  // Hard daily cap check — the whole batch is one call (replayed responses cost nothing)
+  if (!isReplaying() && !canSpendClaude(1, CLAUDE_PUBLIC_CAP)) {
     if (!generateTakeaway._capLogged) {
       const remaining = claudeCallsRemaining(CLAUDE_PUBLIC_CAP);
       console.warn(`⚠ CLAUDE DAILY CAP REACHED (public pipeline cap: ${CLAUDE_PUBLIC_CAP}, remaining: ${remaining}). Using fallback takeaways for remaining articles.`);
       generateTakeaway._capLogged = true;
     }
-    return createFallbackTakeaway(article);
+    applyFallbacks(batch);
+    return;
   }
 
-  const systemPrompt = 'You are a concise aviation industry analyst. Generate a single sentence of insight for aviation professionals. Output ONLY a JSON object — no preamble, no commentary, no questions, no refusals, no meta-analysis. If the article is about aerospace or space exploration, write about its relevance to aerospace. Never output anything except the JSON object.';
-
-  const userPrompt = `Write a one-sentence insight for aviation professionals about this article. The takeaway must be a single crisp sentence, ideally under 160 characters and never more than 180 characters. Do not restate or paraphrase the headline. The takeaway must provide new information — context, significance, or implication — that is not already stated in the headline or blurb. Also determine the most accurate category for this article from this list: general-aviation, commercial, business-aviation, industry, aerospace, military, safety, regulatory, corporate, evtol, drones, electric, international, air-cargo.
-
-Return ONLY a JSON object in this exact format, nothing else:
-{"takeaway": "your single insight sentence", "category": "best-matching-category"}
-
-If unsure about the category, use: ${article.category}
-
-Article headline: ${article.headline}
-Article description: ${article.blurb || 'No description available'}`;
+  const built = buildPrompt('takeaway-batch', batch[0].id, {
+    categories: CATEGORY_LIST,
+    articles: batch.map(article => ({
+      id: article.id,
+      category: article.category,
+      headline: article.headline,
+      description: article.blurb || 'No description available',
+      bodyText: article.bodyText,
+    })),
+  });
+  if (!built) {
+    applyFallbacks(batch);
+    return;
+  }
 
-  let attempted = false;
-  try {
-    const fetchPromise = fetch(
-      'https://api.anthropic.com/v1/messages',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': CONFIG.anthropicApiKey,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: 'claude-haiku-4-5-20251001',
-          max_tokens: 150,
-          system: systemPrompt,
-          messages: [{
-            role: 'user',
-            content: userPrompt,
-          }],
-        }),
-      }
-    );
-    attempted = true;
-    const response = await fetchPromise;
+  const batchIds = new Set(batch.map(a => a.id));
+  let results = new Map();
+  const response = await callClaude({
+    system: built.system,
+    prompt: built.prompt,
+    promptId: built.id,
+    promptVars: built.vars,
+    maxTokens: 120 * batch.length + 100,
+    cap: CLAUDE_PUBLIC_CAP,
+    timeoutMs: 60000,
+  });
 
-    const data = await response.json();
+  if (response.text) {
+    try {
+      results = parseTakeawayBatch(response.text, batchIds);
+    } catch (parseError) {
+      console.warn(`  ⚠ Batch JSON parse failed (${parseError.message}), using fallbacks for ${batch.length} article(s)`);
+    }
+  } else {
+    console.warn(`AI batch takeaway failed for ${batch.length} article(s):`, response.error);
+  }
 
-    if (data.content?.[0]?.text) {
-      const rawText = data.content[0].text.trim();
-      try {
-        // Try to extract JSON from the response (handle markdown code fences)
-        const jsonMatch = rawText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) throw new Error('No JSON object found in response');
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        const takeaway = typeof parsed.takeaway === 'string' && parsed.takeaway.length > 0
-          ? parsed.takeaway
-          : null;
-        const correctedCategory = typeof parsed.category === 'string'
-          && VALID_CATEGORIES.has(parsed.category)
-          ? parsed.category
-          : null;
-
-        if (takeaway) {
-          if (correctedCategory) article.category = correctedCategory;
-          return takeaway;
-        }
-      } catch (parseError) {
-        console.warn(`  ⚠ JSON parse failed for "${article.headline.substring(0, 40)}…", using fallback`);
-      }
+  // Validate; failures get one shared corrective call, then fall back
+  const rejections = [];
+  for (const article of batch) {
+    const result = results.get(article.id);
+    if (!result) continue;
+    const reasons = validateTakeaway(result.takeaway, article, takeawayRules);
+    if (reasons.length > 0) {
+      rejections.push({ article, takeaway: result.takeaway, reasons, promptVersion: built.id });
+      results.delete(article.id);
+    } else {
+      result.promptVersion = built.id;
     }
-  } catch (error) {
-    console.warn(`AI takeaway failed for "${article.headline}":`, error.message);
-  } finally {
-    if (attempted) recordClaudeCalls(1);
+  }
+  if (rejections.length > 0) {
+    for (const [id, corrected] of await correctTakeaways(rejections)) results.set(id, corrected);
   }
 
-  console.warn('  ⚠ Using fallback takeaway for: ' + article.headline.substring(0, 50));
-  return createFallbackTakeaway(article);
+  for (const article of batch) {
+    const result = results.get(article.id);
+    if (result) {
+      acceptTakeaway(article, cache, result);
+    } else {
+      console.warn('  ⚠ Using fallback takeaway for: ' + article.headline.substring(0, 50));
+      article.takeaway = createFallbackTakeaway(article);
+    }
+  }
 }
 
 /**
@@ -792,6 +825,7 @@ function createFallbackTakeaway(article) {
  */
 function formatDate(isoDate) {
   const date = new Date(isoDate);
+  if (!isoDate || Number.isNaN(date.getTime())) return '';
   return date.toLocaleDateString('en-US', {
     month: 'short',
     day: 'numeric',
@@ -804,6 +838,7 @@ function formatDate(isoDate) {
  */
 function formatDateTime(isoDate) {
   const date = new Date(isoDate);
+  if (!isoDate || Number.isNaN(date.getTime())) return '';
   return date.toLocaleString('en-US', {
     month: 'short',
     day: 'numeric',
@@ -841,6 +876,9 @@ function generateNewsCard(article, index) {
   const escapedSourceName = escapeHtml(article.source.name);
   const escapedSourceUrl = escapeHtml(article.source.url);
   const escapedDuration = escapeHtml(article.duration || '');
+  const escapedImage = escapeHtml(article.image || '');
+  const alsoCoveredBy = article.alsoCoveredBy || [];
+  const escapedAlsoCovered = alsoCoveredBy.length > 0 ? escapeHtml(JSON.stringify(alsoCoveredBy)) : '';
 
   // PAI blog cards link same-tab; video and news open new tab
   const linkTarget = type === 'pai-blog' ? '' : ' target="_blank" rel="noopener noreferrer"';
@@ -855,6 +893,14 @@ function generateNewsCard(article, index) {
     ? `<div class="video-overlay"><span class="video-play-icon">&#9654;</span>${escapedDuration ? `<span class="video-duration">${escapedDuration}</span>` : ''}</div>`
     : '';
 
+  // Thumbnail beside the headline; removed if it fails to load
+  const headline = escapedImage
+    ? `<div class="card-title-row">
+            <img class="card-thumb" src="${escapedImage}" alt="" loading="lazy" decoding="async" referrerpolicy="no-referrer" onerror="this.remove()">
+            <h2 class="headline">${escapedHeadline}</h2>
+          </div>`
+    : `<h2 class="headline">${escapedHeadline}</h2>`;
+
   // Extra CSS class for card type
   const typeClass = type !== 'news' ? ` card-type-${type}` : '';
 
@@ -870,6 +916,8 @@ function generateNewsCard(article, index) {
              data-category="${article.category}"
              data-date="${formatDateTime(article.publishedAt)}"
              data-duration="${escapedDuration}"
+             data-also-covered="${escapedAlsoCovered}"
+             data-image="${escapedImage}"
              onclick="openModal(this)">
           ${paiBadge}
           ${videoOverlay}
@@ -877,11 +925,12 @@ function generateNewsCard(article, index) {
             <span class="category-badge" style="background-color: ${categoryInfo.color}">${categoryInfo.label}</span>
             <span class="date">${date}</span>
           </div>
-          <h2 class="headline">${escapedHeadline}</h2>
+          ${headline}
           <p class="blurb">${escapedBlurb}</p>
           <p class="takeaway">${escapedTakeaway}</p>
           <p class="source-link">
-            See <a href="${escapedSourceUrl}"${linkTarget} onclick="event.stopPropagation()">${escapedSourceName}</a> &rarr;
+            See <a href="${escapedSourceUrl}"${linkTarget} onclick="event.stopPropagation()">${escapedSourceName}</a> &rarr;${alsoCoveredBy.length > 0 ? `
+            <span class="also-covered" title="Also covered by ${escapeHtml(alsoCoveredBy.map(s => s.name).join(', '))}">+${alsoCoveredBy.length} more</span>` : ''}
           </p>
         </div>`;
 }
@@ -889,18 +938,72 @@ function generateNewsCard(article, index) {
 /**
  * Generate the full HTML output
  */
-async function generateHTML(articles, sources) {
+async function generateHTML(articles, sources, { snapshot } = {}) {
   console.log('\nReading template...');
   const template = fs.readFileSync(CONFIG.templatePath, 'utf-8');
 
   console.log('Generating takeaways...');
   const processedArticles = [];
+  // Record/replay runs bypass the cache so every takeaway is a (recorded) Claude call
+  const takeawayCache = snapshot ? { entries: {}, hits: 0, misses: 0 } : loadTakeawayCache();
+
+  const batchSize = sources.settings?.takeawayBatchSize || 1;
+  const uncached = [];
+  takeawayRules = takeawayValidationRules(sources.settings?.takeawayValidation);
 
   for (const article of articles) {
-    const takeaway = await generateTakeaway(article);
-    article.takeaway = takeaway;
+    // Cache hit skips the Claude call (and the cap counter) entirely; entries
+    // cached before a validation rule changed are regenerated
+    const cached = lookupTakeaway(takeawayCache, article);
+    if (cached && validateTakeaway(cached.takeaway, article, takeawayRules).length === 0) {
+      article.takeaway = cached.takeaway;
+      if (cached.promptVersion) article.takeawayPromptVersion = cached.promptVersion;
+      if (cached.correctionPromptVersion) article.takeawayCorrectionPromptVersion = cached.correctionPromptVersion;
+      applyClaudeCategory(article, cached.category);
+      console.log(`  ✓ (cached) ${article.headline.substring(0, 50)}...`);
+    } else {
+      uncached.push(article);
+    }
     processedArticles.push(article);
-    console.log(`  ✓ ${article.headline.substring(0, 50)}...`);
+  }
+
+  if (batchSize > 1) {
+    // A batch shares one prompt, so batch within each A/B prompt variant
+    const byVersion = new Map();
+    for (const article of uncached) {
+      const version = promptVersionFor('takeaway-batch', article.id);
+      if (!byVersion.has(version)) byVersion.set(version, []);
+      byVersion.get(version).push(article);
+    }
+    for (const group of byVersion.values()) {
+      for (let i = 0; i < group.length; i += batchSize) {
+        const batch = group.slice(i, i + batchSize);
+        await generateTakeawayBatch(batch, takeawayCache);
+        for (const article of batch) {
+          console.log(`  ✓ ${article.headline.substring(0, 50)}...`);
+        }
+      }
+    }
+  } else {
+    for (const article of uncached) {
+      article.takeaway = await generateTakeaway(article, takeawayCache);
+      console.log(`  ✓ ${article.headline.substring(0, 50)}...`);
+    }
+  }
+
+  if (!snapshot) saveTakeawayCache(takeawayCache);
+  console.log(`Takeaway cache: ${takeawayCache.hits} hit(s), ${takeawayCache.misses} miss(es)`);
+  if (takeawayStats.rejected > 0) {
+    console.log(`Takeaway validation: ${takeawayStats.rejected} rejected, ${takeawayStats.corrected} fixed on retry, ${takeawayStats.rejected - takeawayStats.corrected} fell back`);
+  }
+  const promptCounts = {};
+  for (const article of processedArticles) {
+    if (article.takeawayPromptVersion) {
+      promptCounts[article.takeawayPromptVersion] = (promptCounts[article.takeawayPromptVersion] || 0) + 1;
+    }
+  }
+  if (Object.keys(promptCounts).length > 0) {
+    console.log(`Takeaway prompts: ${Object.entries(promptCounts).map(([id, n]) => `${id} ×${n}`).join(', ')}`);
   }
 
   // Generate news cards
@@ -940,6 +1043,38 @@ async function generateHTML(articles, sources) {
   return { html, processedArticles };
 }
 
+/**
+ * Convert a processed article to the news-data.json shape
+ */
+function serializeArticle(a) {
+  const article = {
+    id: a.id,
+    type: a.type || 'news',
+    headline: a.headline,
+    blurb: a.blurb,
+    takeaway: a.takeaway,
+    source: a.source,
+    category: a.category,
+    keywords: a.keywords,
+    entities: a.entities || [],
+    publishedAt: a.publishedAt,
+  };
+  if (a.dateMissing) article.dateMissing = true;
+  if (a.categoryRule) article.categoryRule = a.categoryRule;
+  if (a.score !== undefined) article.score = a.score;
+  if (a.takeawayPromptVersion) article.takeawayPromptVersion = a.takeawayPromptVersion;
+  if (a.takeawayCorrectionPromptVersion) article.takeawayCorrectionPromptVersion = a.takeawayCorrectionPromptVersion;
+  if (a.image) article.image = a.image;
+  if (a.clusterId) article.clusterId = a.clusterId;
+  if (a.alsoCoveredBy?.length) article.alsoCoveredBy = a.alsoCoveredBy;
+  if (a.paiContent) article.paiContent = true;
+  if (a.videoContent) {
+    article.videoContent = true;
+    if (a.duration) article.duration = a.duration;
+  }
+  return article;
+}
+
 /**
  * Write output files
  */
@@ -957,25 +1092,7 @@ function writeOutput(html, articles) {
   // Write JSON data file (for future use / Phase 2)
   const jsonData = {
     lastUpdated: new Date().toISOString(),
-    articles: articles.map(a => {
-      const article = {
-        id: a.id,
-        type: a.type || 'news',
-        headline: a.headline,
-        blurb: a.blurb,
-        takeaway: a.takeaway,
-        source: a.source,
-        category: a.category,
-        keywords: a.keywords,
-        publishedAt: a.publishedAt,
-      };
-      if (a.paiContent) article.paiContent = true;
-      if (a.videoContent) {
-        article.videoContent = true;
-        if (a.duration) article.duration = a.duration;
-      }
-      return article;
-    }),
+    articles: articles.map(serializeArticle),
   };
 
   const jsonPath = path.join(CONFIG.outputDir, 'news-data.json');
@@ -1043,6 +1160,14 @@ function buildTeamsDigest(articles, maxArticles) {
             },
           ],
         },
+        ...(article.alsoCoveredBy?.length ? [{
+          type: 'TextBlock',
+          text: `Also covered by ${article.alsoCoveredBy.map(s => `[${s.name}](${s.url})`).join(', ')}`,
+          wrap: true,
+          size: 'small',
+          isSubtle: true,
+          spacing: 'none',
+        }] : []),
         ...(article.takeaway ? [{
           type: 'TextBlock',
           text: `_${article.takeaway}_`,
@@ -1112,6 +1237,9 @@ function buildSlackDigest(articles, maxArticles) {
   const articleBlocks = topArticles.flatMap(article => {
     const categoryInfo = CATEGORY_INFO[article.category] || { label: 'News' };
     const takeawayText = article.takeaway ? `\n_${article.takeaway}_` : '';
+    const alsoCoveredText = article.alsoCoveredBy?.length
+      ? `\nAlso covered by ${article.alsoCoveredBy.map(s => `<${s.url}|${s.name}>`).join(', ')}`
+      : '';
     return [
       { type: 'divider' },
       {
@@ -1120,6 +1248,7 @@ function buildSlackDigest(articles, maxArticles) {
           type: 'mrkdwn',
           text: `*<${article.source.url}|${article.headline}>*\n`
             + `${categoryInfo.label} — ${article.source.name}`
+            + alsoCoveredText
             + takeawayText,
         },
       },
@@ -1223,6 +1352,13 @@ async function main() {
   console.log('');
 
   try {
+    // --record <dir> / --replay <dir>: snapshot raw responses or run offline from them
+    const { mode: snapshot, dir: snapshotDir } = setupRecordReplay(process.argv.slice(2));
+    if (snapshot) {
+      console.log(`${snapshot === 'record' ? 'Recording responses to' : 'Replaying responses from'} ${snapshotDir}\n`);
+    }
+    runStartedAt = new Date();
+
     // Load sources configuration
     const sources = loadSources();
     const enabledFeeds = sources.feeds.filter(f => f.enabled);
@@ -1234,30 +1370,59 @@ async function main() {
       console.log(`Found ${manualArticles.length} manual articles\n`);
     }
 
-    // Fetch all feeds in parallel
+    // Skip quarantined feeds that aren't due for a re-probe. Snapshot runs
+    // fetch every feed unconditionally and leave health/cache state alone.
+    const feedHealth = snapshot ? null : loadFeedHealth(sources.settings?.feedHealth);
+    const dueFeeds = snapshot ? enabledFeeds : enabledFeeds.filter(feed => isFeedDue(feedHealth, feed));
+    const skippedFeeds = enabledFeeds.length - dueFeeds.length;
+    if (skippedFeeds > 0) {
+      console.log(`Skipping ${skippedFeeds} quarantined feed(s) until their next probe\n`);
+    }
+
+    // Fetch all feeds through the scheduler (bounded concurrency, retries,
+    // conditional GET against the feed cache)
     console.log('Fetching RSS feeds...');
-    const feedPromises = enabledFeeds.map(feed => fetchFeed(feed));
+    const feedCache = snapshot ? null : loadFeedCache();
+    const feedPromises = dueFeeds.map(feed => fetchFeed(feed, { feedCache, feedHealth }));
     const feedResults = await Promise.all(feedPromises);
+    if (feedCache) {
+      saveFeedCache(feedCache, new Set(enabledFeeds.map(f => f.url)));
+      if (feedCache.notModified > 0) {
+        console.log(`Feed cache: ${feedCache.notModified} feed(s) not modified since last run`);
+      }
+    }
+
+    const healthSummary = feedHealth && saveFeedHealth(feedHealth, enabledFeeds);
+    if (healthSummary && (healthSummary.degraded.length > 0 || healthSummary.quarantined.length > 0)) {
+      console.log(`Feed health: ${healthSummary.healthy} healthy, ${healthSummary.degraded.length} degraded, ${healthSummary.quarantined.length} quarantined`);
+      for (const f of healthSummary.quarantined) {
+        console.log(`  ⛔ ${f.name}: ${f.consecutiveFailures} failures, last error "${f.lastError}", next probe ${f.nextProbeAt}`);
+      }
+    }
 
     // Flatten and combine all articles
     let allArticles = feedResults.flat();
     console.log(`\nTotal articles fetched: ${allArticles.length}`);
 
     // Add manual articles (with high priority)
-    const formattedManualArticles = manualArticles.map(article => ({
-      id: generateId(article.headline, article.url),
-      headline: article.headline,
-      blurb: article.blurb || '',
-      source: {
-        name: article.source || 'Performance Aircraft',
-        url: article.url,
-      },
-      category: article.category || 'industry',
-      publishedAt: article.date ? new Date(article.date).toISOString() : new Date().toISOString(),
-      takeaway: article.takeaway || null,
-      keywords: extractKeywords(article.headline + ' ' + (article.blurb || '')),
-      priority: article.priority || 'normal',
-    }));
+    const formattedManualArticles = manualArticles.map(article => {
+      const entities = extractEntities(`${article.headline} ${article.blurb || ''}`);
+      return {
+        id: generateId(article.headline, article.url),
+        headline: article.headline,
+        blurb: article.blurb || '',
+        source: {
+          name: article.source || 'Performance Aircraft',
+          url: article.url,
+        },
+        category: article.category || 'industry',
+        publishedAt: (parseFeedDate(article.date) || new Date()).toISOString(),
+        takeaway: article.takeaway || null,
+        keywords: entityKeywords(entities),
+        entities,
+        priority: article.priority || 'normal',
+      };
+    });
 
     // Combine: manual first (by priority), then RSS sorted by date
     const highPriorityManual = formattedManualArticles.filter(a => a.priority === 'high');
@@ -1266,30 +1431,100 @@ async function main() {
     // Sort RSS articles by date (newest first)
     allArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
-    // Deduplicate by URL
+    // Deduplicate by canonical URL (tracking params, redirects, AMP, http/https)
     const seenUrls = new Set();
     const deduped = [];
     for (const article of allArticles) {
-      if (!seenUrls.has(article.source.url)) {
-        seenUrls.add(article.source.url);
+      const key = urlKey(article.source.url);
+      if (!seenUrls.has(key)) {
+        seenUrls.add(key);
         deduped.push(article);
       }
     }
 
-    // Filter out administrative/funding/contracting noise (unless safety-related)
-    const beforeFundingFilter = deduped.length;
-    const filteredDeduped = deduped.filter(a => !isAdministrativeFundingNoise(a));
-    const droppedCount = beforeFundingFilter - filteredDeduped.length;
-    if (droppedCount > 0) {
-      console.log(`Filtered out ${droppedCount} administrative/funding articles`);
+    // Drop stale items; undated items are kept (they already sort last)
+    const maxAgeHours = sources.settings?.maxArticleAgeHours;
+    let recent = deduped;
+    if (maxAgeHours > 0) {
+      const cutoff = runStartedAt.getTime() - maxAgeHours * 60 * 60 * 1000;
+      recent = deduped.filter(a => !a.publishedAt || new Date(a.publishedAt).getTime() >= cutoff);
+      if (recent.length < deduped.length) {
+        console.log(`Dropped ${deduped.length - recent.length} article(s) older than ${maxAgeHours}h`);
+      }
     }
 
-    // Combine in order: high priority manual → RSS → normal manual
-    const combinedArticles = [
-      ...highPriorityManual,
-      ...filteredDeduped,
-      ...normalManual.filter(a => !seenUrls.has(a.source.url)),
-    ];
+    // Fetch article pages for feeds with fullText: true, newest first up to
+    // settings.fullText.maxPagesPerRun downloads, so content rules and
+    // category routing can match bodyText as well as Claude prompts
+    const fullText = await enrichFullText(recent, enabledFeeds, sources.settings?.fullText, { persist: !snapshot });
+    if (fullText.enriched > 0 || fullText.blocked > 0) {
+      console.log(`Full text: ${fullText.enriched} article(s) enriched (${fullText.fetched} fetched, ${fullText.cached} cached, ${fullText.blocked} blocked by robots.txt)`);
+    }
+
+    // Include/exclude content rules (settings.contentRules; defaults to the
+    // administrative/funding filter)
+    const { articles: filteredDeduped, dropped } = applyContentRules(recent, sources.settings?.contentRules);
+    if (dropped.length > 0) {
+      console.log(`Content rules dropped ${dropped.length} article(s)`);
+    }
+
+    // Keyword → category routing rules (global and per feed), before Claude
+    const { routed, changed } = routeCategories(filteredDeduped, enabledFeeds, sources.settings, VALID_CATEGORIES);
+    if (routed > 0) {
+      console.log(`Category routing: ${routed} article(s) matched a rule, ${changed} re-categorized`);
+    }
+
+    // Importance score (settings.importance): balancing then fills the
+    // ticker in score order, so the score decides which articles survive.
+    // Scored once before clustering so each cluster's representative is its
+    // highest-scoring article, and again after to count the coverage.
+    const importance = importanceConfig(sources.settings?.importance);
+    let clusterCandidates = filteredDeduped;
+    if (importance.enabled) {
+      scoreArticles(filteredDeduped, enabledFeeds, importance, runStartedAt.getTime());
+      clusterCandidates = [...filteredDeduped].sort(byScore);
+    }
+
+    // Collapse cross-outlet coverage of the same story to one card
+    const { articles: clusteredArticles, clustered } = clusterStories(
+      clusterCandidates,
+      sources.settings?.clustering
+    );
+    if (clustered > 0) {
+      console.log(`Story clustering collapsed ${clustered} duplicate article(s)`);
+    }
+
+    if (importance.enabled) {
+      scoreArticles([...highPriorityManual, ...clusteredArticles, ...normalManual], enabledFeeds, importance, runStartedAt.getTime());
+      clusteredArticles.sort(byScore);
+    }
+
+    // Cap articles per feed and category (interleaving sources when not
+    // scoring) so one prolific feed can't fill the ticker
+    const maxArticles = sources.settings?.maxArticlesInTicker || 36;
+    const rssSlots = Math.max(0, maxArticles - highPriorityManual.length);
+    const balanced = balanceArticles(clusteredArticles, enabledFeeds, sources.settings, rssSlots, {
+      ranked: importance.enabled,
+    });
+    if (balanced.length < clusteredArticles.length) {
+      console.log(`Diversity balancing kept ${balanced.length} of ${clusteredArticles.length} articles`);
+    }
+
+    // Combine in order: high priority manual → RSS → normal manual. With
+    // scoring, the balanced picks and normal manual articles are ranked
+    // together by score, so the lowest-scoring fall past maxArticlesInTicker
+    const extraManual = normalManual.filter(a => !seenUrls.has(urlKey(a.source.url)));
+    const combinedArticles = importance.enabled
+      ? [
+        ...highPriorityManual,
+        ...[...balanced.slice(0, rssSlots), ...extraManual].sort(byScore),
+        ...balanced.slice(rssSlots),
+      ]
+      : [...highPriorityManual, ...balanced, ...extraManual];
+    if (importance.enabled && combinedArticles.length > highPriorityManual.length) {
+      const top = combinedArticles[highPriorityManual.length];
+      console.log(`Importance scoring: top story "${top.headline.substring(0, 50)}" (score ${top.score})`);
+    }
 
     // Add type: "news" to all existing articles
     for (const article of combinedArticles) {
@@ -1344,7 +1579,6 @@ async function main() {
     const mergedArticles = mergePaiItems(combinedArticles, paiItemsToMerge);
 
     // Limit to configured max
-    const maxArticles = sources.settings?.maxArticlesInTicker || 36;
     const finalArticles = mergedArticles.slice(0, maxArticles);
 
     console.log(`After deduplication and limiting: ${finalArticles.length} articles\n`);
@@ -1355,13 +1589,28 @@ async function main() {
     }
 
     // Generate HTML and JSON
-    const { html, processedArticles } = await generateHTML(finalArticles, sources);
+    const { html, processedArticles } = await generateHTML(finalArticles, sources, { snapshot });
 
     // Write output files
     writeOutput(html, processedArticles);
 
-    // Send webhook notifications (daily digest or every update)
-    await sendWebhookNotifications(processedArticles, sources.webhooks);
+    if (snapshot === 'replay') {
+      console.log('Replay run — skipping archive and webhooks.');
+    } else {
+      // Append published articles to the archive (settings.archivePolicy)
+      try {
+        const { added, pruned } = archiveArticles(
+          processedArticles.map(serializeArticle),
+          sources.settings?.archivePolicy
+        );
+        console.log(`Archive: ${added} new article(s)${pruned > 0 ? `, ${pruned} day file(s) pruned` : ''}`);
+      } catch (error) {
+        console.warn(`Archive update failed: ${error.message}`);
+      }
+
+      // Send webhook notifications (daily digest or every update)
+      await sendWebhookNotifications(processedArticles, sources.webhooks);
+    }
 
     console.log('');
     console.log('='.repeat(50));
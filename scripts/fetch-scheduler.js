@@ -0,0 +1,225 @@
+/**
+ * PAI AeroNews - Fetch Scheduler
+ *
+ * Shared HTTP fetching for RSS feeds, YouTube playlists and Company Radar's
+ * Google Alerts feeds. Instead of firing every request at once with a single
+ * attempt, scheduledFetch:
+ *   - caps requests in flight overall (`maxConcurrency`)
+ *   - is polite per host: at most `perHostConcurrency` requests in flight
+ *     and `perHostDelayMs` between request starts to the same host
+ *   - applies a per-attempt timeout (overridable per call, e.g. per feed)
+ *   - retries 5xx, 429, timeouts and network errors with jittered
+ *     exponential backoff, honouring `retry-after`
+ *
+ * Delays are measured on the monotonic clock (performance.now()), so a
+ * frozen or adjusted Date (--replay, NTP steps) can't stall or skip them.
+ *
+ * Settings come from sources.json → settings.fetch, merged over DEFAULTS.
+ * Non-retryable responses (including 304 and 4xx) are returned as-is; the
+ * last response or error is surfaced once retries run out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+
+const DEFAULTS = {
+  maxConcurrency: 6,
+  perHostConcurrency: 2,
+  perHostDelayMs: 250,
+  timeoutMs: 15000,
+  maxRetries: 2,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 10000,
+};
+
+let cachedConfig = null;
+
+// Scheduler state shared by every caller in this process
+const state = { active: 0, hosts: new Map(), queue: [], timer: null };
+
+/**
+ * Load settings.fetch from sources.json merged over DEFAULTS (once per process).
+ */
+export function loadFetchConfig() {
+  if (cachedConfig) return cachedConfig;
+  let fileConfig = {};
+  try {
+    const sources = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf-8'));
+    fileConfig = sources.settings?.fetch || {};
+  } catch {
+    // sources.json unreadable — defaults only
+  }
+  cachedConfig = { ...DEFAULTS, ...fileConfig };
+  return cachedConfig;
+}
+
+// nextStartAt is on the performance.now() timeline
+function hostState(host) {
+  if (!state.hosts.has(host)) state.hosts.set(host, { active: 0, nextStartAt: 0 });
+  return state.hosts.get(host);
+}
+
+/**
+ * Start every queued request whose global and per-host limits allow it, in
+ * queue order. If only the per-host delay is holding requests back, wake up
+ * when the earliest one becomes eligible.
+ */
+function pump() {
+  const config = loadFetchConfig();
+  const now = performance.now();
+  let wakeAt = Infinity;
+
+  for (let i = 0; i < state.queue.length && state.active < config.maxConcurrency;) {
+    const waiter = state.queue[i];
+    const host = hostState(waiter.host);
+    if (host.active >= config.perHostConcurrency) {
+      i++;
+      continue;
+    }
+    if (host.nextStartAt > now) {
+      wakeAt = Math.min(wakeAt, host.nextStartAt);
+      i++;
+      continue;
+    }
+    state.queue.splice(i, 1);
+    state.active++;
+    host.active++;
+    host.nextStartAt = now + config.perHostDelayMs;
+    waiter.resolve();
+  }
+
+  clearTimeout(state.timer);
+  state.timer = null;
+  if (wakeAt !== Infinity) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      pump();
+    }, Math.ceil(wakeAt - now));
+  }
+}
+
+function acquire(host) {
+  return new Promise(resolve => {
+    state.queue.push({ host, resolve });
+    pump();
+  });
+}
+
+function release(host) {
+  state.active--;
+  hostState(host).active--;
+  pump();
+}
+
+/**
+ * Whether an HTTP status is worth retrying (rate limit or server error).
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a `retry-after` header (delta-seconds or HTTP date) into a delay in
+ * milliseconds. An HTTP date is measured against the response's own `date`
+ * header, so local clock skew (or a frozen replay clock) doesn't distort it;
+ * without one, the local wall clock is the only reference.
+ */
+function parseRetryAfter(value, responseDate) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  const serverNow = Date.parse(responseDate || '');
+  return Math.max(0, date - (Number.isNaN(serverNow) ? Date.now() : serverNow));
+}
+
+/**
+ * Exponential backoff with full jitter for attempt n (0-based).
+ */
+function backoffDelay(attempt, config) {
+  const ceiling = Math.min(config.retryMaxDelayMs, config.retryBaseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the body while the request still holds its slot, so the concurrency
+ * limit covers the whole transfer, and hand back an equivalent Response.
+ */
+async function bufferResponse(response) {
+  // Status codes like 304 can't carry a body
+  const nullBody = [101, 204, 205, 304].includes(response.status);
+  const body = nullBody ? null : await response.arrayBuffer();
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Fetch a URL through the scheduler. The returned Response is already
+ * downloaded; the per-attempt timeout covers reading the body too.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {number} [options.timeoutMs] - Overrides the configured per-attempt timeout
+ * @param {number} [options.maxRetries] - Overrides the configured retry count
+ * @param {string} [options.label] - Name used in retry log lines (default: host)
+ * @returns {Promise<Response>} Throws the last network/timeout error if every attempt failed
+ */
+export async function scheduledFetch(url, { headers, timeoutMs, maxRetries, label } = {}) {
+  const config = loadFetchConfig();
+  const retries = maxRetries ?? config.maxRetries;
+  let host = 'unknown';
+  try {
+    host = new URL(url).host;
+  } catch {
+    // fetch will reject the URL below
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let error = null;
+
+    await acquire(host);
+    try {
+      response = await bufferResponse(await fetch(url, {
+        headers,
+        signal: AbortSignal.timeout(timeoutMs ?? config.timeoutMs),
+      }));
+    } catch (err) {
+      error = err;
+    } finally {
+      release(host);
+    }
+
+    if (response && !isRetryableStatus(response.status)) return response;
+    if (attempt >= retries) {
+      if (error) throw error;
+      return response;
+    }
+
+    let delay = backoffDelay(attempt, config);
+    if (response) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'), response.headers.get('date'));
+      if (retryAfter !== null) {
+        if (retryAfter > config.retryMaxDelayMs) return response;
+        delay = retryAfter;
+      }
+    }
+    const reason = error ? error.message : `HTTP ${response.status}`;
+    console.warn(`    ↻ ${label || host}: ${reason} — retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt + 2}/${retries + 1})`);
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * PAI AeroNews - Full-Text Enrichment
+ *
+ * Many feeds only carry a one-line teaser. For feeds with `"fullText": true`
+ * in sources.json, this stage fetches each candidate article's page (before
+ * content rules and category routing), extracts the main readable text
+ * (boilerplate removed) and stores it, bounded, as `article.bodyText`.
+ * Claude prompts and keyword filters use bodyText when present — content
+ * rules and routes that list the "bodyText" field, the analyst keyword
+ * filter — while the public card still shows the short blurb.
+ * bodyText is internal to the run — it is never written to news-data.json
+ * or the archive; analyst mode and the opportunity spotter read it back
+ * from the page cache.
+ *
+ * Pages are fetched through the fetch scheduler, only where robots.txt
+ * allows, and results are kept in the page cache (.cache/page-cache.json).
+ *
+ * Settings (sources.json → settings.fullText):
+ *   maxChars        bodyText length limit (default 2000)
+ *   minChars        less extracted text than this counts as none (default 200)
+ *   maxPagesPerRun  page downloads per run; cached pages don't count (default 20)
+ */
+
+import { scheduledFetch } from './fetch-scheduler.js';
+import { createRobotsChecker } from './robots.js';
+import { loadPageCache, lookupPage, storePage, savePageCache } from './page-cache.js';
+
+const DEFAULTS = {
+  maxChars: 2000,
+  minChars: 200,
+  maxPagesPerRun: 20,
+};
+
+// Elements that never hold article text
+const BOILERPLATE_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figure', 'figcaption', 'select',
+];
+
+// Paragraphs that are site chrome rather than article text
+const BOILERPLATE_PARAGRAPH = /^(advertisement|subscribe|sign up|log ?in|share (this|on)|follow us|read more|related:|click here|©|copyright|all rights reserved)|\b(cookies?|newsletter|privacy policy|terms of (use|service))\b/i;
+
+const MIN_PARAGRAPH_CHARS = 40;
+
+function decodeEntities(text) {
+  const named = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '\u2014', ndash: '\u2013', hellip: '...', lsquo: '\u2018',
+    rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+  };
+  return text
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+}
+
+/**
+ * Inner HTML of the largest `<tag>` element, or null if there is none.
+ */
+function largestElement(html, tag) {
+  const regex = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'gi');
+  let best = null;
+  for (const match of html.matchAll(regex)) {
+    if (!best || match[1].length > best.length) best = match[1];
+  }
+  return best;
+}
+
+/**
+ * Extract the main readable text from an article page: drop boilerplate
+ * elements, narrow to <article> / <main> / <body>, then keep substantial
+ * paragraphs that don't look like site chrome. Returns text truncated on a
+ * word boundary to `maxChars`, or null if less than `minChars` was found.
+ *
+ * @param {string} html
+ * @param {{maxChars: number, minChars: number}} limits
+ * @returns {string|null}
+ */
+export function extractReadableText(html, { maxChars, minChars }) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of BOILERPLATE_ELEMENTS) {
+    cleaned = cleaned.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, 'gi'), ' ');
+  }
+
+  const container = largestElement(cleaned, 'article')
+    || largestElement(cleaned, 'main')
+    || largestElement(cleaned, 'body')
+    || cleaned;
+
+  const seen = new Set();
+  const paragraphs = [];
+  for (const match of container.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)) {
+    const text = decodeEntities(match[1].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_PARAGRAPH_CHARS || BOILERPLATE_PARAGRAPH.test(text) || seen.has(text)) continue;
+    seen.add(text);
+    paragraphs.push(text);
+  }
+
+  let body = paragraphs.join('\n\n');
+  if (body.length < minChars) return null;
+  if (body.length > maxChars) {
+    const cut = body.lastIndexOf(' ', maxChars - 3);
+    body = `${body.substring(0, cut > 0 ? cut : maxChars - 3).trim()}...`;
+  }
+  return body;
+}
+
+/**
+ * Fetch one page and extract its text. Returns `{ bodyText }` (bodyText
+ * may be null when the page has no readable text) or null on a fetch
+ * error, which is not cached.
+ */
+async function fetchPageText(url, feed, limits) {
+  try {
+    const response = await scheduledFetch(url, {
+      headers: {
+        'User-Agent': 'PAI-AeroNews/1.0 (Aviation News Aggregator)',
+        'Accept': 'text/html, application/xhtml+xml',
+      },
+      timeoutMs: feed.timeoutMs,
+      label: feed.name,
+    });
+    if (!response.ok) {
+      console.warn(`    ⚠ Full text: HTTP ${response.status} for ${url}`);
+      return null;
+    }
+    const type = response.headers.get('content-type') || '';
+    if (type && !/html/i.test(type)) return { bodyText: null };
+    return { bodyText: extractReadableText(await response.text(), limits) };
+  } catch (error) {
+    console.warn(`    ⚠ Full text: ${error.message} for ${url}`);
+    return null;
+  }
+}
+
+/**
+ * Add `bodyText` to articles from feeds that opt in with `fullText: true`.
+ * Articles keep their blurb; failures just leave bodyText unset.
+ *
+ * @param {Array} articles - Candidate RSS articles, newest first (page
+ *   downloads go to the first ones until maxPagesPerRun is used up)
+ * @param {Array} feeds - Feed definitions from sources.json
+ * @param {object} [config] - sources.json settings.fullText
+ * @param {object} [options]
+ * @param {boolean} [options.persist=true] - Load/save .cache/page-cache.json
+ * @returns {Promise<{enriched: number, fetched: number, cached: number, blocked: number}>}
+ */
+export async function enrichFullText(articles, feeds, config, { persist = true } = {}) {
+  const stats = { enriched: 0, fetched: 0, cached: 0, blocked: 0 };
+  const optedIn = new Map(feeds.filter(f => f.fullText).map(f => [f.name, f]));
+  // RSS articles get their `type` later in the run; untyped means news
+  const candidates = articles.filter(a => (a.type ?? 'news') === 'news' && optedIn.has(a.source?.name) && a.source?.url);
+  if (candidates.length === 0) return stats;
+
+  const limits = { ...DEFAULTS, ...(config || {}) };
+  const cache = persist ? loadPageCache() : { entries: {}, hits: 0, misses: 0 };
+  const robotsAllow = createRobotsChecker();
+  let budget = limits.maxPagesPerRun;
+
+  await Promise.all(candidates.map(async (article) => {
+    const url = article.source.url;
+    let result = lookupPage(cache, url);
+    if (result) {
+      stats.cached++;
+    } else {
+      if (budget <= 0) return;
+      if (!(await robotsAllow(url))) {
+        stats.blocked++;
+        return;
+      }
+      // Re-check after awaiting robots.txt; other articles may have used the budget
+      if (budget <= 0) return;
+      budget--;
+      stats.fetched++;
+      result = await fetchPageText(url, optedIn.get(article.source.name), limits);
+      if (!result) return;
+      storePage(cache, url, result.bodyText);
+    }
+    if (result.bodyText) {
+      article.bodyText = result.bodyText;
+      stats.enriched++;
+    }
+  }));
+
+  if (persist) savePageCache(cache);
+  return stats;
+}
@@ -0,0 +1,88 @@
+/**
+ * PAI AeroNews - Article Importance Scoring
+ *
+ * Gives each news article a `score` so an NTSB accident report outranks a
+ * newer but minor route announcement. The score is the weighted sum of:
+ *
+ *   recency    1 for an article published at the run start, halving every
+ *              `recencyHalfLifeHours` (undated articles get 0)
+ *   category   categoryWeights[article.category] (default 0)
+ *   entities   entityWeights points per extracted entity, capped at
+ *              `maxEntityPoints`; a "type:id" key ("agency:ntsb") overrides
+ *              the entity's type key ("agency")
+ *   coverage   number of other outlets covering the story (alsoCoveredBy),
+ *              capped at `maxCoverageOutlets`
+ *   source     the feed's `importance` in sources.json (default 0)
+ *
+ * Each component is multiplied by its entry in `weights`. Settings
+ * (sources.json → settings.importance) are merged over DEFAULTS; the
+ * tables (`weights`, `categoryWeights`, `entityWeights`) merge key by key.
+ */
+
+const DEFAULTS = {
+  enabled: true,
+  weights: { recency: 10, category: 1, entities: 1, coverage: 2, source: 1 },
+  recencyHalfLifeHours: 24,
+  categoryWeights: {},
+  entityWeights: {},
+  maxEntityPoints: 6,
+  maxCoverageOutlets: 3,
+};
+
+/**
+ * Merge settings.importance over DEFAULTS.
+ */
+export function importanceConfig(settings = {}) {
+  return {
+    ...DEFAULTS,
+    ...settings,
+    weights: { ...DEFAULTS.weights, ...(settings.weights || {}) },
+    categoryWeights: { ...DEFAULTS.categoryWeights, ...(settings.categoryWeights || {}) },
+    entityWeights: { ...DEFAULTS.entityWeights, ...(settings.entityWeights || {}) },
+  };
+}
+
+function recencyPoints(article, config, now) {
+  const published = article.dateMissing ? NaN : new Date(article.publishedAt).getTime();
+  if (!Number.isFinite(published)) return 0;
+  const ageHours = Math.max(0, now - published) / (60 * 60 * 1000);
+  return 0.5 ** (ageHours / config.recencyHalfLifeHours);
+}
+
+function entityPoints(article, config) {
+  let points = 0;
+  for (const entity of article.entities || []) {
+    points += config.entityWeights[`${entity.type}:${entity.id}`] ?? config.entityWeights[entity.type] ?? 0;
+  }
+  return Math.min(points, config.maxEntityPoints);
+}
+
+/**
+ * Set `article.score` (rounded to two decimals) on every article.
+ *
+ * @param {Array} articles - News articles, after category routing and clustering
+ * @param {Array} feeds - Feed definitions from sources.json
+ * @param {object} config - From importanceConfig()
+ * @param {number} now - Run start (ms), so every article's age is measured
+ *   from the same instant and replays score identically
+ */
+export function scoreArticles(articles, feeds, config, now) {
+  const feedsByName = new Map(feeds.map(f => [f.name, f]));
+  const { weights } = config;
+
+  for (const article of articles) {
+    const score = weights.recency * recencyPoints(article, config, now)
+      + weights.category * (config.categoryWeights[article.category] ?? 0)
+      + weights.entities * entityPoints(article, config)
+      + weights.coverage * Math.min(article.alsoCoveredBy?.length || 0, config.maxCoverageOutlets)
+      + weights.source * (feedsByName.get(article.source?.name)?.importance ?? 0);
+    article.score = Math.round(score * 100) / 100;
+  }
+}
+
+/**
+ * Sort comparator: highest score first, newest first on a tie.
+ */
+export function byScore(a, b) {
+  return (b.score - a.score) || (new Date(b.publishedAt) - new Date(a.publishedAt));
+}
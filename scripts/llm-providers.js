@@ -0,0 +1,139 @@
+/**
+ * PAI AeroNews - LLM Providers
+ *
+ * Backends for the shared client in claude-client.js, selected by
+ * sources.json → llm.provider (or the LLM_PROVIDER env var):
+ *
+ *   anthropic  Anthropic Messages API (default)
+ *   openai     Any OpenAI-compatible /chat/completions endpoint — OpenAI
+ *              itself or a local server (Ollama, llama.cpp, vLLM, LM Studio)
+ *   mock       Deterministic offline responses for development; no network,
+ *              no API key, no spend
+ *
+ * HTTP providers implement `buildRequest(call, settings, apiKey)` →
+ * `{ url, headers, body }` and `parseResponse(data)` → `{ text, usage }`,
+ * with usage as `{ input_tokens, output_tokens }`. The mock implements
+ * `respond(call)` → `{ text, usage }` instead. `call` holds `{ model,
+ * system, prompt, maxTokens, promptId, promptVars }`; HTTP providers send
+ * only the first four.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Join text blocks from an Anthropic response, handling unexpected shapes.
+ */
+export function extractClaudeText(data) {
+  if (Array.isArray(data?.content)) {
+    const joined = data.content.map(b => b.text).filter(Boolean).join('\n');
+    if (joined) return joined.trim();
+  }
+  return null;
+}
+
+const anthropic = {
+  defaultModel: 'claude-haiku-4-5-20251001',
+  baseUrl: 'https://api.anthropic.com',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  keyRequired: true,
+
+  buildRequest({ model, system, prompt, maxTokens }, settings, apiKey) {
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    };
+    if (system) body.system = system;
+    return {
+      url: `${settings.baseUrl}/v1/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': settings.apiVersion || '2023-06-01',
+      },
+      body,
+    };
+  },
+
+  parseResponse(data) {
+    return { text: extractClaudeText(data), usage: data.usage || null };
+  },
+};
+
+const openai = {
+  defaultModel: 'gpt-4o-mini',
+  baseUrl: 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  // Local servers usually accept requests without a key
+  keyRequired: false,
+
+  buildRequest({ model, system, prompt, maxTokens }, settings, apiKey) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+    return {
+      url: `${settings.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      },
+      body: { model, max_tokens: maxTokens, messages },
+    };
+  },
+
+  parseResponse(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    const text = typeof content === 'string' && content.trim() ? content.trim() : null;
+    const usage = data?.usage
+      ? { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 }
+      : null;
+    return { text, usage };
+  },
+};
+
+/**
+ * Stable short hash so the same prompt always gets the same mock answer.
+ */
+function digest(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 6);
+}
+
+function mockTakeaway(headline) {
+  return `Mock insight ${digest(headline || '')}: operators should watch how this shifts schedules, costs and compliance work.`;
+}
+
+const mock = {
+  defaultModel: 'mock',
+  keyRequired: false,
+
+  /**
+   * Answer in the shape the prompt template named by `promptId` asks for,
+   * built from its `promptVars` rather than the prompt text: a JSON array
+   * of takeaways (batches and corrections), a JSON object takeaway, an
+   * analyst brief, or plain text for anything else.
+   */
+  respond({ prompt, promptId = '', promptVars = {} }) {
+    const name = promptId.split('@')[0];
+    let text;
+    if (name === 'takeaway-batch' || name === 'takeaway-correction') {
+      text = JSON.stringify((promptVars.articles || []).map(article => ({
+        id: article.id,
+        takeaway: mockTakeaway(article.headline),
+        category: article.category,
+      })));
+    } else if (name === 'takeaway') {
+      text = JSON.stringify({ takeaway: mockTakeaway(promptVars.headline), category: promptVars.category });
+    } else if (name === 'analyst-brief') {
+      const headline = promptVars.headline || 'this article';
+      text = `SUMMARY: Mock summary of "${headline}". Generated offline by the mock LLM provider.\n\nWHY THIS MATTERS TO SMS: Placeholder relevance note for development runs.\n\nBLOG ANGLES: Placeholder blog angle ${digest(headline)}.`;
+    } else {
+      text = `Mock response ${digest(prompt)} from the offline LLM provider (${prompt.length} prompt characters).`;
+    }
+    return {
+      text,
+      usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) },
+    };
+  },
+};
+
+export const PROVIDERS = { anthropic, openai, mock };
@@ -0,0 +1,159 @@
+/**
+ * PAI AeroNews - Lock Files
+ *
+ * Cross-process mutual exclusion for short synchronous read-modify-write
+ * sections. The lock is a file created with open(..., 'wx') holding
+ * `{ pid, host, token, createdAt }`.
+ *
+ * A lock is only taken over once it is older than `staleMs` and its holder
+ * is no longer running. Takeover renames the lock to a path unique to the
+ * waiter, so when several waiters find the same stale lock only one of them
+ * gets it; that waiter re-checks the file it now owns and deletes it only if
+ * it is still stale. If a live lock was renamed instead (another waiter had
+ * already replaced the stale one), it is put back.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_STALE_MS = 10000;
+
+const heldDepth = new Map();
+
+/**
+ * Block the current thread for `ms` milliseconds (callers are synchronous).
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read a lock file's holder as `{ pid, host, token, createdAt }` (null if unreadable).
+ */
+function readHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the lock holder's process is still running. Only a process on
+ * this host can be checked; a lock without a pid, or from another host
+ * (e.g. restored with dist/ from a previous workflow run), counts as dead.
+ */
+function isHolderAlive(holder) {
+  if (!holder?.pid || holder.host !== os.hostname()) return false;
+  // Our own pid on a lock we don't hold: a crashed earlier process had it
+  if (holder.pid === process.pid) return false;
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Whether a lock file was left behind by a crashed holder: older than
+ * `staleMs` and its holder is no longer running. A live holder's lock is
+ * never taken, however long it has been held.
+ */
+function isStale(lockPath, staleMs) {
+  try {
+    const stat = fs.statSync(lockPath);
+    return Date.now() - stat.mtimeMs > staleMs && !isHolderAlive(readHolder(lockPath));
+  } catch {
+    // Lock vanished — let the next attempt decide
+    return false;
+  }
+}
+
+/**
+ * Move a stale lock out of the way. Returns once the lock path is free or
+ * holds a lock someone else is entitled to; the caller then retries 'wx'.
+ */
+function takeOverStaleLock(lockPath, staleMs, label, token) {
+  const claimPath = `${lockPath}.${token}.stale`;
+  try {
+    fs.renameSync(lockPath, claimPath);
+  } catch (error) {
+    // Another waiter moved it first
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (isStale(claimPath, staleMs)) {
+    console.warn(`⚠ Removing stale ${label} lock`);
+    fs.rmSync(claimPath, { force: true });
+    return;
+  }
+
+  // Between our check and the rename another waiter removed the stale lock
+  // and created its own, which we just moved: put it back.
+  try {
+    fs.linkSync(claimPath, lockPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    console.warn(`⚠ Could not restore ${label} lock held by pid ${readHolder(claimPath)?.pid ?? 'unknown'}`);
+  }
+  fs.rmSync(claimPath, { force: true });
+}
+
+/**
+ * Run `fn` while holding the lock file at `lockPath`. Re-entrant within a
+ * process. A stale lock is taken over; a live holder is waited for, with a
+ * warning if that takes longer than `staleMs`.
+ *
+ * @param {string} lockPath
+ * @param {Function} fn
+ * @param {{ staleMs?: number, label?: string }} [options]
+ */
+export function withFileLock(lockPath, fn, { staleMs = DEFAULT_STALE_MS, label = path.basename(lockPath) } = {}) {
+  const depth = heldDepth.get(lockPath) || 0;
+  if (depth > 0) {
+    heldDepth.set(lockPath, depth + 1);
+    try {
+      return fn();
+    } finally {
+      heldDepth.set(lockPath, depth);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const token = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+  const warnAt = Date.now() + staleMs;
+  let warned = false;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), token, createdAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      if (isStale(lockPath, staleMs)) {
+        takeOverStaleLock(lockPath, staleMs, label, token);
+        continue;
+      }
+      if (!warned && Date.now() > warnAt) {
+        console.warn(`⚠ Still waiting for ${label} lock held by pid ${readHolder(lockPath)?.pid ?? 'unknown'}`);
+        warned = true;
+      }
+      sleepSync(25 + Math.floor(Math.random() * 50));
+    }
+  }
+
+  heldDepth.set(lockPath, 1);
+  try {
+    return fn();
+  } finally {
+    heldDepth.delete(lockPath);
+    // Only remove the lock if it is still ours
+    if (readHolder(lockPath)?.token === token) fs.rmSync(lockPath, { force: true });
+  }
+}
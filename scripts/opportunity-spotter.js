@@ -16,12 +16,17 @@
  * Usage:
  *   node scripts/opportunity-spotter.js
  *   ANTHROPIC_API_KEY=xxx BLOG_TEAMS_WEBHOOK_URL=yyy node scripts/opportunity-spotter.js
+ *   LLM_PROVIDER=mock node scripts/opportunity-spotter.js   # offline ideas, no spend
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { canSpendClaude, recordClaudeCalls, claudeCallsRemaining } from './usage-limit.js';
+import { canSpendClaude, claudeCallsRemaining } from './usage-limit.js';
+import { callClaude, llmAvailable } from './claude-client.js';
+import { buildPrompt } from './prompts.js';
+import { urlKey } from './url-canon.js';
+import { attachCachedBodyText } from './page-cache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,6 +36,7 @@ const SEEN_URLS_PATH = path.join(__dirname, '..', 'dist', 'os-seen-urls.json');
 const SEEN_URLS_MAX = 500; // FIFO cap to keep the file bounded
 const OPPORTUNITY_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_OPPORTUNITY || '30', 10);
 const OPPORTUNITY_COUNTER_KEY = 'opportunityCallsToday';
+const SUMMARY_TEXT_CHARS = 600; // per-article full-text excerpt; every article shares one prompt
 
 /**
  * Load news-data.json produced by the public pipeline
@@ -53,7 +59,8 @@ function loadSeenUrls() {
   try {
     const raw = fs.readFileSync(SEEN_URLS_PATH, 'utf-8');
     const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed.urls)) return new Set(parsed.urls);
+    // Re-key on load so files written before canonicalization still match
+    if (Array.isArray(parsed.urls)) return new Set(parsed.urls.map(urlKey));
     return new Set();
   } catch (error) {
     return new Set();
@@ -81,17 +88,6 @@ function saveSeenUrls(seenSet) {
   }
 }
 
-/**
- * Extract text from a Claude API response
- */
-function extractClaudeText(data) {
-  if (Array.isArray(data.content)) {
-    const joined = data.content.map(b => b.text).filter(Boolean).join('\n');
-    if (joined) return joined.trim();
-  }
-  return null;
-}
-
 /**
  * Load PAI wiki context files if the private wiki was cloned alongside this repo.
  * Returns concatenated markdown or empty string. Never throws — wiki is optional.
@@ -114,105 +110,53 @@ function loadWikiContext() {
 }
 
 /**
- * Build a compact summary of articles for the Claude prompt
+ * Build a compact summary of articles for the Claude prompt, using an
+ * excerpt of the full text when the feed provides it
  */
 function buildArticleSummary(articles) {
-  return articles.map((a, i) =>
-    `${i + 1}. [${a.category || 'news'}] ${a.headline} (${a.source?.url || 'no link'})\n   ${a.blurb || 'No description'}\n   Source: ${a.source?.name || 'Unknown'}`
-  ).join('\n\n');
+  return articles.map((a, i) => {
+    const text = a.bodyText ? a.bodyText.replace(/\s+/g, ' ').substring(0, SUMMARY_TEXT_CHARS) : a.blurb;
+    return `${i + 1}. [${a.category || 'news'}] ${a.headline} (${a.source?.url || 'no link'})\n   ${text || 'No description'}\n   Source: ${a.source?.name || 'Unknown'}`;
+  }).join('\n\n');
 }
 
 /**
- * Send all articles to Claude in a single API call and get opportunity ideas
+ * Send all articles to Claude in a single API call (retries aside) and get
+ * opportunity ideas, from the `opportunities` prompt template.
+ * Returns `{ text, promptVersion }`, or null on failure.
  */
 async function generateOpportunities(articles) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return null;
+  if (!llmAvailable()) return null;
 
   const articleSummary = buildArticleSummary(articles);
   const wikiContext = loadWikiContext();
-  const wikiSection = wikiContext
-    ? `## PAI Knowledge Base Context\n${wikiContext}\n\n## Articles to Analyze\n\n`
-    : '';
-
-  const prompt = `${wikiSection}PAI Consulting is an aviation SMS (Safety Management System) and safety consulting firm. Based on these news articles, surface up to 7 specific opportunities for PAI to create a useful web tool, app widget, or blog post that would be timely and relevant to their clients.
-
-**PAI's core services:** SMS implementation, safety program development, regulatory compliance consulting, aviation document editing, and meeting/conference support. Opportunities should connect directly to one of these.
-
-**What makes a strong opportunity.** A strong opportunity meets at least one of these criteria: (1) there is a regulatory deadline or comment period approaching, (2) a safety incident or investigation has just been reported that operators need to respond to, (3) a new rule, guidance, or requirement has been published that PAI's clients must understand, (4) an emerging trend creates a clear gap that a PAI tool or blog post could fill. A weak opportunity is general industry news with no clear PAI angle. When in doubt, surface it with a 🔵 Watch This tier rather than skipping it.
-
-Rank the opportunities by urgency, most time-sensitive first. If fewer than 3 genuinely strong opportunities exist in these articles, surface only the real ones — do not pad the list with weak items just to hit 7. Quality over quantity.
-
-For each opportunity, include all of the following:
-
-- **Headline** — a short title for the opportunity
-- **Tier** — exactly one of: 🔴 Act Now / 🟡 Strong Lead / 🔵 Watch This
-- **Why Now** — one sentence explaining the urgency or timing window (e.g., "FAA comment period closes Thursday" or "Story broke this morning — high visibility window while the topic is trending")
-- **First Step** — one concrete sentence suggesting the immediate action PAI could take (e.g., "Draft a 400-word LinkedIn post today" or "Build a readiness checklist tool for Part 141 schools")
-- **Opportunity description** — what the tool, widget, or post would actually do, specific enough to act on
-- **Inspired by** — citation(s) to the source article(s)
-
-For each "Inspired by" citation, format the article title as a markdown link using the URL provided in parentheses, like: [Article Title](https://...). Do not include bare URLs.
-
-**Output rules (strict):**
-- Output ONLY the opportunities themselves in the format described above. Do NOT include any explanation or reasoning about articles that did not qualify.
-- Do NOT include a "Non-Opportunities" section, a summary paragraph, preamble, or any text explaining why articles were skipped.
-- If zero articles qualify, output only the single word NONE and nothing else.
-- Do NOT analyze or generate opportunities for any article whose URL contains paiconsulting.com. Treat PAI's own content as context-only background — it must never appear as an opportunity.
-
-New articles since the last opportunity scan:
-
-${articleSummary}`;
-
-  let counted = false;
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 1500,
-        messages: [{ role: 'user', content: prompt }],
-      }),
-      signal: AbortSignal.timeout(30000),
-    });
-
-    // Record exactly once — the HTTP request consumed quota
-    recordClaudeCalls(1, OPPORTUNITY_COUNTER_KEY);
-    counted = true;
-
-    if (!response.ok) {
-      let bodySnippet = '';
-      try {
-        const raw = await response.text();
-        bodySnippet = raw.substring(0, 500);
-      } catch { /* ignore read errors */ }
-      console.warn(`Claude HTTP ${response.status}`);
-      console.warn(`  Response body: ${bodySnippet || '(empty)'}`);
-      return null;
-    }
-
-    const data = await response.json();
-    const text = extractClaudeText(data);
-    if (text) return text;
+  // One call covers every new article, so the A/B variant is picked per run
+  const built = buildPrompt('opportunities', articles.map(a => a.source?.url).join('\n'), {
+    wikiContext,
+    articleSummary,
+  });
+  if (!built) return null;
+
+  const response = await callClaude({
+    system: built.system,
+    prompt: built.prompt,
+    promptId: built.id,
+    promptVars: built.vars,
+    maxTokens: 1500,
+    counterKey: OPPORTUNITY_COUNTER_KEY,
+    cap: OPPORTUNITY_CAP,
+    timeoutMs: 30000,
+  });
+  if (response.text) return { text: response.text, promptVersion: built.id };
 
-    console.warn('Claude returned 200 but no usable text.');
-    return null;
-  } catch (error) {
-    if (!counted) recordClaudeCalls(1, OPPORTUNITY_COUNTER_KEY);
-    console.warn(`Claude call failed: ${error.message}`);
-    return null;
-  }
+  console.warn(`Claude call failed: ${response.error}`);
+  return null;
 }
 
 /**
  * Build a Teams Adaptive Card for the opportunity spotter
  */
-function buildTeamsCard(opportunityText, articleCount) {
+function buildTeamsCard(opportunityText, articleCount, promptVersion) {
   const today = new Date().toLocaleDateString('en-US', {
     weekday: 'long',
     month: 'long',
@@ -265,7 +209,7 @@ function buildTeamsCard(opportunityText, articleCount) {
           },
           {
             type: 'TextBlock',
-            text: '_Internal — PAI Consulting Content Strategy_',
+            text: `_Internal — PAI Consulting Content Strategy · prompt ${promptVersion}_`,
             size: 'small',
             isSubtle: true,
             spacing: 'large',
@@ -300,9 +244,9 @@ async function main() {
   console.log('PAI AeroNews — Opportunity Spotter');
   console.log('='.repeat(40));
 
-  // 1. Check for API key
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.log('No ANTHROPIC_API_KEY set — skipping opportunity spotter.');
+  // 1. Check for API key (not needed by the mock provider)
+  if (!llmAvailable()) {
+    console.log('No LLM API key set — skipping opportunity spotter.');
     process.exit(0);
   }
 
@@ -321,7 +265,7 @@ async function main() {
 
   const newArticles = newsData.articles.filter(a => {
     const url = a.source?.url;
-    return url && !seen.has(url);
+    return url && !seen.has(urlKey(url));
   });
 
   if (newArticles.length === 0) {
@@ -331,6 +275,9 @@ async function main() {
 
   console.log(`Found ${newArticles.length} new article${newArticles.length === 1 ? '' : 's'} to analyze`);
 
+  // Full text isn't published in news-data.json; read it from the page cache
+  attachCachedBodyText(newArticles);
+
   // 5. Check Claude daily cap (one call needed — independent counter)
   if (!canSpendClaude(1, OPPORTUNITY_CAP, OPPORTUNITY_COUNTER_KEY)) {
     const remaining = claudeCallsRemaining(OPPORTUNITY_CAP, OPPORTUNITY_COUNTER_KEY);
@@ -342,14 +289,15 @@ async function main() {
 
   // 6. Generate opportunities (single API call against the new articles only)
   console.log('\nSending new articles to Claude for opportunity analysis...');
-  const opportunities = await generateOpportunities(newArticles);
+  const result = await generateOpportunities(newArticles);
 
-  if (!opportunities) {
+  if (!result) {
     console.warn('No opportunity ideas generated. Exiting without marking URLs as seen.');
     process.exit(0);
   }
 
-  console.log('✓ Opportunities generated');
+  const { text: opportunities, promptVersion } = result;
+  console.log(`✓ Opportunities generated (prompt ${promptVersion})`);
 
   // If Claude returned NONE (no qualifying opportunities), post to the debug
   // webhook so we can inspect what Claude saw, then skip the main Teams post.
@@ -398,7 +346,7 @@ async function main() {
     }
 
     for (const a of newArticles) {
-      if (a.source?.url) seen.add(a.source.url);
+      if (a.source?.url) seen.add(urlKey(a.source.url));
     }
     saveSeenUrls(seen);
     console.log(`✓ Marked ${newArticles.length} URL(s) as seen (total tracked: ${seen.size})`);
@@ -409,7 +357,7 @@ async function main() {
   // succeeds. We've already paid for the Claude call; re-processing the same
   // articles next hour would waste quota.
   for (const a of newArticles) {
-    if (a.source?.url) seen.add(a.source.url);
+    if (a.source?.url) seen.add(urlKey(a.source.url));
   }
   saveSeenUrls(seen);
   console.log(`✓ Marked ${newArticles.length} URL(s) as seen (total tracked: ${seen.size})`);
@@ -425,7 +373,7 @@ async function main() {
   // 9. Post to Teams
   console.log('\nPosting opportunities to Teams...');
   try {
-    const payload = buildTeamsCard(opportunities, newArticles.length);
+    const payload = buildTeamsCard(opportunities, newArticles.length, promptVersion);
     await postToTeams(webhookUrl, payload);
     console.log('✓ Opportunity spotter posted to Teams successfully.');
   } catch (error) {
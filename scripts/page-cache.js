@@ -0,0 +1,115 @@
+/**
+ * PAI AeroNews - Article Page Cache
+ *
+ * Persists full-text extraction results in .cache/page-cache.json, keyed by
+ * canonical URL, so each article page is downloaded once rather than every
+ * hourly build. The file holds publisher text, so it lives outside dist/
+ * (which is deployed publicly) and is carried between CI runs by the
+ * workflow's cache step instead. Pages with no readable text are cached too (as null) so
+ * they aren't refetched; fetch errors and robots.txt refusals are not.
+ *
+ * Entries expire after PAGE_CACHE_TTL_HOURS, and the file is trimmed to the
+ * most recently used PAGE_CACHE_MAX_ENTRIES on save.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { urlKey } from './url-canon.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_PATH = path.join(__dirname, '..', '.cache', 'page-cache.json');
+const CACHE_VERSION = 1;
+const TTL_MS = parseInt(process.env.PAGE_CACHE_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.PAGE_CACHE_MAX_ENTRIES || '1000', 10);
+
+/**
+ * Load the cache from disk. Missing, corrupted or version-mismatched
+ * files start an empty cache (the next save overwrites them).
+ */
+export function loadPageCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
+    if (data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object') {
+      return { entries: data.entries, hits: 0, misses: 0 };
+    }
+  } catch {
+    // File missing or corrupted — start fresh
+  }
+  return { entries: {}, hits: 0, misses: 0 };
+}
+
+/**
+ * Look up the extracted text for `url`. Returns `{ bodyText }` on a hit
+ * (`bodyText` may be null for a page with no readable text), or null on a
+ * miss. Expired entries are dropped.
+ */
+export function lookupPage(cache, url) {
+  const key = urlKey(url);
+  const entry = cache.entries[key];
+  const now = Date.now();
+
+  if (entry && now - new Date(entry.cachedAt).getTime() < TTL_MS) {
+    entry.lastUsedAt = new Date(now).toISOString();
+    cache.hits++;
+    return { bodyText: entry.bodyText ?? null };
+  }
+
+  if (entry) delete cache.entries[key];
+  cache.misses++;
+  return null;
+}
+
+/**
+ * Store the extracted text (or null) for `url`.
+ */
+export function storePage(cache, url, bodyText) {
+  const now = new Date().toISOString();
+  cache.entries[urlKey(url)] = { bodyText, cachedAt: now, lastUsedAt: now };
+}
+
+/**
+ * Set `bodyText` from the page cache on articles read back from
+ * news-data.json, which does not carry it. Read-only: the cache file is not
+ * rewritten. Returns the number of articles given text.
+ */
+export function attachCachedBodyText(articles) {
+  const cache = loadPageCache();
+  let attached = 0;
+  for (const article of articles) {
+    const bodyText = article.source?.url ? lookupPage(cache, article.source.url)?.bodyText : null;
+    if (bodyText) {
+      article.bodyText = bodyText;
+      attached++;
+    }
+  }
+  return attached;
+}
+
+/**
+ * Persist the cache, evicting expired entries and trimming to the most
+ * recently used MAX_ENTRIES.
+ */
+export function savePageCache(cache) {
+  const now = Date.now();
+  const live = Object.entries(cache.entries)
+    .filter(([, e]) => now - new Date(e.cachedAt).getTime() < TTL_MS)
+    .sort((a, b) => new Date(b[1].lastUsedAt) - new Date(a[1].lastUsedAt))
+    .slice(0, MAX_ENTRIES);
+
+  const payload = {
+    version: CACHE_VERSION,
+    updatedAt: new Date(now).toISOString(),
+    count: live.length,
+    entries: Object.fromEntries(live),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(payload, null, 2), 'utf-8');
+  } catch (error) {
+    console.warn(`Failed to write page-cache.json: ${error.message}`);
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * PAI AeroNews - Prompt Templates
+ *
+ * LLM prompts live in prompts/<name>/<version>.txt rather than in pipeline
+ * code. A template holds a `--- system` section (optional) and a `--- user`
+ * section; any text before the first marker is a note for prompt authors
+ * and is not sent. Placeholders:
+ *
+ *   {{name}}                   value of `name` (unknown names are an error)
+ *   {{#name}}...{{/name}}      rendered once if `name` is truthy, or once per
+ *                              item (item fields override outer ones) if it
+ *                              is an array; omitted when falsy or empty
+ *
+ * Settings (sources.json → settings.prompts) pick the version per prompt:
+ *
+ *   "takeaway": { "version": "v1", "candidate": "v2", "candidatePercent": 10 }
+ *
+ * With a candidate, `candidatePercent` of keys (article ids for per-article
+ * prompts) are assigned to it by a stable hash, so an article keeps its
+ * variant across runs. Each rendered prompt carries an id such as
+ * "takeaway@v1" for callers to record on what it produced, and to pass to
+ * callClaude along with its vars (the mock provider answers from those).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+
+const DEFAULT_VERSION = 'v1';
+
+let cachedConfig = null;
+const templates = new Map();
+const warned = new Set();
+
+/**
+ * Load sources.json → settings.prompts (cached for the run).
+ */
+export function loadPromptConfig() {
+  if (cachedConfig) return cachedConfig;
+  try {
+    const sources = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf-8'));
+    cachedConfig = sources.settings?.prompts || {};
+  } catch {
+    // sources.json unreadable — every prompt uses DEFAULT_VERSION
+    cachedConfig = {};
+  }
+  return cachedConfig;
+}
+
+/**
+ * Read and split prompts/<name>/<version>.txt into `{ system, user }`.
+ * Cached per run; throws if the file is missing or has no user section.
+ */
+function loadTemplate(name, version) {
+  const id = `${name}@${version}`;
+  if (templates.has(id)) return templates.get(id);
+
+  const raw = fs.readFileSync(path.join(PROMPTS_DIR, name, `${version}.txt`), 'utf-8');
+  const sections = {};
+  let current = null;
+  for (const line of raw.split(/\r?\n/)) {
+    const marker = /^--- (system|user)\s*$/.exec(line);
+    if (marker) {
+      current = marker[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+  if (!sections.user) throw new Error(`${id} has no "--- user" section`);
+
+  const template = {
+    system: sections.system ? sections.system.join('\n').trim() : null,
+    user: sections.user.join('\n').trim(),
+  };
+  templates.set(id, template);
+  return template;
+}
+
+/**
+ * Substitute sections and placeholders in `text` from `vars`, in a single
+ * pass so braces inside substituted values are never expanded.
+ */
+function render(text, vars, id) {
+  return text.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{(\w+)\}\}/g, (match, section, inner, name) => {
+    if (section) {
+      const value = vars[section];
+      if (Array.isArray(value)) return value.map(item => render(inner, { ...vars, ...item }, id)).join('');
+      return value ? render(inner, vars, id) : '';
+    }
+    if (vars[name] === undefined || vars[name] === null) {
+      throw new Error(`${id} uses unknown variable {{${name}}}`);
+    }
+    return String(vars[name]);
+  });
+}
+
+/**
+ * Stable 0–99 bucket for `key` within prompt `name`.
+ */
+function bucket(name, key) {
+  const hash = crypto.createHash('sha1').update(`${name}:${key}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Version of prompt `name` to use for `key`: the candidate for
+ * `candidatePercent` of keys, the configured version otherwise.
+ */
+export function promptVersionFor(name, key) {
+  const config = loadPromptConfig()[name] || {};
+  const version = config.version || DEFAULT_VERSION;
+  if (config.candidate && config.candidatePercent > 0 && bucket(name, key) < config.candidatePercent) {
+    return config.candidate;
+  }
+  return version;
+}
+
+/**
+ * Render prompt `name` for `key` (which picks the A/B variant).
+ *
+ * A candidate template that fails to load or render falls back to the
+ * configured version. Returns `{ id, system, prompt, vars }`, or null (with a
+ * one-time warning) if no version can be rendered, so callers fall back as
+ * they do for a failed LLM call.
+ *
+ * @param {string} name - Directory under prompts/
+ * @param {string} key - Stable key for A/B assignment, e.g. the article id
+ * @param {object} vars - Placeholder values
+ * @returns {{id: string, system: string|null, prompt: string, vars: object}|null}
+ */
+export function buildPrompt(name, key, vars) {
+  const configured = (loadPromptConfig()[name] || {}).version || DEFAULT_VERSION;
+  const chosen = promptVersionFor(name, key);
+
+  for (const version of chosen === configured ? [chosen] : [chosen, configured]) {
+    const id = `${name}@${version}`;
+    try {
+      const template = loadTemplate(name, version);
+      return {
+        id,
+        system: template.system ? render(template.system, vars, id).trim() : null,
+        prompt: render(template.user, vars, id).trim(),
+        vars,
+      };
+    } catch (error) {
+      if (!warned.has(id)) {
+        console.warn(`⚠ Prompt ${id} unavailable: ${error.message}`);
+        warned.add(id);
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,221 @@
+/**
+ * PAI AeroNews - Offline Record/Replay
+ *
+ * `node scripts/fetch-rss.js --record <dir>` saves every feed, YouTube and
+ * Claude response the run receives to <dir>. `--replay <dir>` serves those
+ * snapshots back through `fetch`, so the pipeline runs fully offline — handy
+ * for checking what a change to cleanHeadline or a filter does to dist/.
+ *
+ * Both modes seed `random()` from the snapshot's manifest, and replay freezes
+ * `new Date()` at the recorded start time, so replaying the same snapshot
+ * twice produces the same output. Responses are keyed by method + URL (+ body for
+ * Claude POSTs, so each prompt maps to its own response); a request with no
+ * recording fails like a network error, which every caller already handles.
+ *
+ * Snapshot layout:
+ *   <dir>/manifest.json          { version, recordedAt, seed }
+ *   <dir>/responses/<key>.json   { method, url, status, statusText, headers, body }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+
+const SNAPSHOT_VERSION = 1;
+
+// Only these POST endpoints are recorded; webhook posts carry secrets in the URL.
+// The LLM client adds its provider's host via recordPostsTo().
+const RECORDED_POST_HOSTS = new Set(['api.anthropic.com']);
+
+const state = { mode: null, dir: null, rng: Math.random };
+
+/**
+ * mulberry32 — small, fast, good enough for shuffles.
+ */
+function seededRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Replace Date so `new Date()` returns `ms`. `Date.now()` starts at `ms` but
+ * keeps advancing, so durations, timeouts and retry deadlines built on it
+ * still elapse; code that needs the frozen run time uses `new Date()`.
+ */
+function freezeClock(ms) {
+  const RealDate = Date;
+  const frozenAt = performance.now();
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length === 0 ? [ms] : args));
+    }
+
+    static now() {
+      return ms + Math.floor(performance.now() - frozenAt);
+    }
+  }
+  globalThis.Date = FrozenDate;
+}
+
+/**
+ * Snapshot file for a request.
+ */
+function responsePath(method, url, body) {
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${url}\n${typeof body === 'string' ? body : ''}`)
+    .digest('hex')
+    .slice(0, 16);
+  let host = 'request';
+  try {
+    host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  } catch {
+    // keep generic prefix
+  }
+  return path.join(state.dir, 'responses', `${host}-${hash}.json`);
+}
+
+function shouldRecord(method, url) {
+  if (method === 'GET') return true;
+  try {
+    return RECORDED_POST_HOSTS.has(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wrap fetch to save each response body alongside its status and headers.
+ */
+function installRecorder() {
+  const realFetch = globalThis.fetch;
+  fs.mkdirSync(path.join(state.dir, 'responses'), { recursive: true });
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url || input);
+    const method = (init.method || 'GET').toUpperCase();
+    if (!shouldRecord(method, url)) return realFetch(input, init);
+
+    const file = responsePath(method, url, init.body);
+    let response;
+    try {
+      response = await realFetch(input, init);
+    } catch (error) {
+      fs.writeFileSync(file, JSON.stringify({ method, url, error: error.message }, null, 2));
+      throw error;
+    }
+
+    const body = await response.clone().text();
+    fs.writeFileSync(file, JSON.stringify({
+      method,
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body,
+    }, null, 2));
+    return response;
+  };
+}
+
+/**
+ * Replace fetch with lookups into the snapshot.
+ */
+function installReplayer() {
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url || input);
+    const method = (init.method || 'GET').toUpperCase();
+
+    let recorded;
+    try {
+      recorded = JSON.parse(fs.readFileSync(responsePath(method, url, init.body), 'utf-8'));
+    } catch {
+      throw new TypeError(`fetch failed: no recorded response for ${method} ${url}`);
+    }
+    if (recorded.error) throw new TypeError(recorded.error);
+
+    // Status codes like 304 can't carry a body
+    const nullBody = [101, 204, 205, 304].includes(recorded.status);
+    return new Response(nullBody ? null : recorded.body, {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: recorded.headers,
+    });
+  };
+}
+
+/**
+ * Parse `--record <dir>` / `--replay <dir>` and install the matching fetch
+ * wrapper, seeded RNG and (for replay) frozen clock. Call once, before any
+ * network access. Returns `{ mode, dir }` (`mode` null for a normal run).
+ *
+ * @param {string[]} argv - CLI arguments (process.argv.slice(2))
+ */
+export function setupRecordReplay(argv) {
+  const flag = argv.findIndex(a => a === '--record' || a === '--replay');
+  if (flag === -1) return { mode: null, dir: null };
+
+  const dir = argv[flag + 1];
+  if (!dir || dir.startsWith('--')) {
+    throw new Error(`${argv[flag]} requires a directory`);
+  }
+  state.mode = argv[flag].slice(2);
+  state.dir = path.resolve(dir);
+  const manifestPath = path.join(state.dir, 'manifest.json');
+
+  if (state.mode === 'record') {
+    const manifest = {
+      version: SNAPSHOT_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: crypto.randomInt(2 ** 31),
+    };
+    fs.mkdirSync(state.dir, { recursive: true });
+    fs.rmSync(path.join(state.dir, 'responses'), { recursive: true, force: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    state.rng = seededRng(manifest.seed);
+    installRecorder();
+  } else {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    } catch {
+      throw new Error(`No snapshot found at ${manifestPath}`);
+    }
+    if (manifest.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${manifest.version} in ${manifestPath}`);
+    }
+    state.rng = seededRng(manifest.seed);
+    freezeClock(new Date(manifest.recordedAt).getTime());
+    installReplayer();
+  }
+
+  return { mode: state.mode, dir: state.dir };
+}
+
+/**
+ * Also record POSTs to `hostname` (the configured LLM provider's API).
+ */
+export function recordPostsTo(hostname) {
+  RECORDED_POST_HOSTS.add(hostname);
+}
+
+/**
+ * Whether this run is replaying a snapshot (no real network or Claude spend).
+ */
+export function isReplaying() {
+  return state.mode === 'replay';
+}
+
+/**
+ * Math.random() replacement: seeded in record/replay runs so PAI item
+ * selection and placement repeat exactly.
+ */
+export function random() {
+  return state.rng();
+}
@@ -0,0 +1,125 @@
+/**
+ * PAI AeroNews - robots.txt Checks
+ *
+ * Used by full-text enrichment before fetching an article page. Each
+ * origin's robots.txt is fetched once per run (through the fetch scheduler)
+ * and matched per RFC 9309: the group naming our user-agent token, else
+ * "*"; the longest matching Allow/Disallow path wins, Allow on a tie;
+ * `*` and `$` wildcards are supported.
+ *
+ * A missing robots.txt (4xx) allows everything. One that can't be fetched
+ * (5xx, timeout, network error) disallows the whole origin for this run.
+ */
+
+import { scheduledFetch } from './fetch-scheduler.js';
+
+const AGENT_TOKEN = 'pai-aeronews';
+const USER_AGENT = 'PAI-AeroNews/1.0 (Aviation News Aggregator)';
+
+/**
+ * Parse robots.txt into groups of `{ agents: [...], rules: [{ allow, path }] }`.
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+      lastWasAgent = false;
+    } else {
+      lastWasAgent = false;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Rules that apply to us: every group naming our token, else every "*" group.
+ */
+function rulesForAgent(groups) {
+  const ours = groups.filter(g => g.agents.includes(AGENT_TOKEN));
+  const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules);
+}
+
+function pathPattern(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether `pathAndQuery` is allowed by a parsed rule list.
+ */
+function isAllowed(rules, pathAndQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!pathPattern(rule.path).test(pathAndQuery)) continue;
+    if (!best
+      || rule.path.length > best.path.length
+      || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Fetch and parse one origin's robots.txt. Returns a rule list, or null
+ * when the whole origin must be treated as disallowed.
+ */
+async function loadRobots(origin) {
+  try {
+    const response = await scheduledFetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/plain, */*' },
+      label: `${origin}/robots.txt`,
+    });
+    if (response.ok) return rulesForAgent(parseRobots(await response.text()));
+    if (response.status >= 400 && response.status < 500) return [];
+    console.warn(`    ⚠ robots.txt for ${origin} returned HTTP ${response.status} — skipping origin`);
+  } catch (error) {
+    console.warn(`    ⚠ robots.txt for ${origin} unavailable (${error.message}) — skipping origin`);
+  }
+  return null;
+}
+
+/**
+ * Create a per-run robots.txt checker.
+ *
+ * @returns {(url: string) => Promise<boolean>} Resolves true if we may fetch `url`
+ */
+export function createRobotsChecker() {
+  const origins = new Map();
+
+  return async (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    if (!origins.has(parsed.origin)) origins.set(parsed.origin, loadRobots(parsed.origin));
+    const rules = await origins.get(parsed.origin);
+    return rules !== null && isAllowed(rules, `${parsed.pathname}${parsed.search}`);
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * PAI AeroNews - Cross-Outlet Story Clustering
+ *
+ * Groups articles that cover the same story (e.g. AVweb, AIN and Simple
+ * Flying all reporting the same NTSB preliminary report) so the ticker shows
+ * one representative card with "also covered by" sources.
+ *
+ * Two articles are linked when their headlines are similar (Jaccard over
+ * lightly stemmed headline words) — or moderately similar and sharing enough
+ * distinctive terms (keywords, numbers, model designators). Articles are
+ * compared with each cluster's representative only, not with every member,
+ * so a loosely related article can't chain two unrelated stories together.
+ * Comparing against every cluster is fine at the few hundred articles a run
+ * fetches.
+ *
+ * Each cluster gets a stable `clusterId` derived from its earliest-published
+ * dated member, so the same story keeps its id across hourly runs and digests can
+ * collapse duplicates across news-data.json snapshots.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'over', 'says', 'said',
+  'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'after', 'new',
+]);
+
+const DEFAULTS = {
+  // Headline word similarity that alone links two articles
+  similarityThreshold: 0.5,
+  // Lower similarity that links two articles sharing `minSharedTerms` terms
+  keywordSimilarityThreshold: 0.3,
+  minSharedTerms: 2,
+};
+
+/**
+ * Lowercase, strip punctuation and stopwords → token list.
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’']/g, '')
+    .replace(/[^a-z0-9-]+/g, ' ')
+    .split(/\s+/)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+/**
+ * Crude suffix stripping so "releases"/"released"/"release" compare equal.
+ */
+function stem(token) {
+  if (token.length <= 4 || /\d/.test(token)) return token;
+  return token.replace(/(ing|ed|es|s)$/, '').replace(/e$/, '');
+}
+
+/**
+ * Set of stemmed headline words.
+ */
+function shingles(tokens) {
+  return new Set(tokens.map(stem));
+}
+
+/**
+ * Stemmed, stopword-free word set of any text (also used by the takeaway
+ * validator to spot headline restatements).
+ */
+export function wordSet(text) {
+  return shingles(tokenize(text));
+}
+
+/**
+ * Distinctive terms: extracted keywords plus tokens containing digits
+ * (flight numbers, "737", "n12345") from headline and blurb.
+ */
+function distinctiveTerms(article, tokens) {
+  const terms = new Set((article.keywords || []).map(k => String(k).toLowerCase()));
+  for (const token of [...tokens, ...tokenize(article.blurb)]) {
+    if (/\d/.test(token) && token.length >= 2) terms.add(token);
+  }
+  return terms;
+}
+
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  for (const x of a) if (b.has(x)) intersection++;
+  return intersection / (a.size + b.size - intersection);
+}
+
+function overlap(a, b) {
+  let count = 0;
+  for (const x of a) if (b.has(x)) count++;
+  return count;
+}
+
+/**
+ * Headline similarity of two articles' features if they are linked, else 0.
+ */
+function linkStrength(a, b, config) {
+  const sim = jaccard(a.shingles, b.shingles);
+  const linked = sim >= config.similarityThreshold
+    || (sim >= config.keywordSimilarityThreshold
+      && overlap(a.terms, b.terms) >= config.minSharedTerms);
+  return linked ? sim : 0;
+}
+
+/**
+ * The earliest-published member with a usable date (the first member when
+ * none has one) — an undated article must not pass for the oldest.
+ */
+function earliestMember(members) {
+  const dated = members.filter(a => !a.dateMissing && Number.isFinite(new Date(a.publishedAt).getTime()));
+  if (dated.length === 0) return members[0];
+  return dated.reduce((min, a) => (new Date(a.publishedAt) < new Date(min.publishedAt) ? a : min));
+}
+
+/**
+ * Cluster articles and collapse each cluster to one representative.
+ *
+ * Articles are taken in input order; each joins the cluster whose
+ * representative it is most similar to, or starts a new cluster. So the
+ * representative is the first member in the input order — callers pass
+ * highest score first (newest first when scoring is off). It gains
+ * `clusterId` and `alsoCoveredBy: [{name, url}]`; singletons get a
+ * `clusterId` too. Other members are dropped.
+ *
+ * @param {Array} articles
+ * @param {object} [settings] - sources.json settings.clustering
+ * @returns {{articles: Array, clustered: number}} `clustered` = members collapsed
+ */
+export function clusterStories(articles, settings = {}) {
+  const config = { ...DEFAULTS, ...settings };
+  if (config.enabled === false) return { articles, clustered: 0 };
+
+  const features = articles.map(article => {
+    const tokens = tokenize(article.headline);
+    return { shingles: shingles(tokens), terms: distinctiveTerms(article, tokens) };
+  });
+
+  const clusters = [];
+  articles.forEach((article, i) => {
+    let best = null;
+    let bestStrength = 0;
+    for (const cluster of clusters) {
+      const strength = linkStrength(features[cluster.index], features[i], config);
+      if (strength > bestStrength) {
+        best = cluster;
+        bestStrength = strength;
+      }
+    }
+    if (best) best.members.push(article);
+    else clusters.push({ index: i, members: [article] });
+  });
+
+  const representatives = new Set();
+  let clustered = 0;
+  for (const { members } of clusters) {
+    const [representative, ...others] = members;
+    representatives.add(representative);
+    representative.clusterId = `c-${earliestMember(members).id}`;
+    representative.alsoCoveredBy = others
+      .filter(a => a.source?.name !== representative.source?.name)
+      .map(a => ({ name: a.source.name, url: a.source.url }))
+      .filter((s, idx, list) => list.findIndex(o => o.name === s.name) === idx);
+    clustered += others.length;
+  }
+
+  // Keep representatives in their original order
+  return { articles: articles.filter(a => representatives.has(a)), clustered };
+}
@@ -0,0 +1,134 @@
+/**
+ * PAI AeroNews - Takeaway Cache
+ *
+ * Persists Claude-generated takeaways (and corrected categories) in
+ * dist/takeaway-cache.json, keyed by article id, so the hourly build only
+ * pays for articles it has not summarized before.
+ *
+ * Entries are invalidated when the article's headline or blurb changes,
+ * expire after TAKEAWAY_CACHE_TTL_HOURS, and the file is trimmed to the
+ * most recently used TAKEAWAY_CACHE_MAX_ENTRIES on save. Each entry keeps
+ * the id of the prompt version that produced it; changing prompt versions
+ * does not invalidate entries, so a new version applies to new articles.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_PATH = path.join(__dirname, '..', 'dist', 'takeaway-cache.json');
+const CACHE_VERSION = 1;
+const TTL_MS = parseInt(process.env.TAKEAWAY_CACHE_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.TAKEAWAY_CACHE_MAX_ENTRIES || '2000', 10);
+
+/**
+ * Hash of the article text the takeaway was generated from.
+ * A changed headline or blurb yields a different hash and a cache miss.
+ * bodyText is left out: whether it was fetched this run depends on page
+ * fetch failures and the per-run budget, which shouldn't cost a new call.
+ */
+function contentHash(article) {
+  return crypto
+    .createHash('sha1')
+    .update(`${article.headline || ''}\n${article.blurb || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Load the cache from disk. Missing, corrupted or version-mismatched
+ * files start an empty cache (the next save overwrites them).
+ */
+export function loadTakeawayCache() {
+  try {
+    const raw = fs.readFileSync(CACHE_PATH, 'utf-8');
+    const data = JSON.parse(raw);
+    if (data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object') {
+      return { entries: data.entries, hits: 0, misses: 0 };
+    }
+  } catch {
+    // File missing or corrupted — start fresh
+  }
+  return { entries: {}, hits: 0, misses: 0 };
+}
+
+/**
+ * Look up a cached takeaway for `article`.
+ * Returns `{ takeaway, category, promptVersion, correctionPromptVersion }`
+ * on a hit, or null on a miss. Stale or expired entries are dropped so they
+ * get regenerated and re-stored.
+ */
+export function lookupTakeaway(cache, article) {
+  const entry = cache.entries[article.id];
+  const now = Date.now();
+
+  if (entry
+    && entry.hash === contentHash(article)
+    && now - new Date(entry.cachedAt).getTime() < TTL_MS) {
+    entry.lastUsedAt = new Date(now).toISOString();
+    cache.hits++;
+    return {
+      takeaway: entry.takeaway,
+      category: entry.category || null,
+      promptVersion: entry.promptVersion || null,
+      correctionPromptVersion: entry.correctionPromptVersion || null,
+    };
+  }
+
+  if (entry) delete cache.entries[article.id];
+  cache.misses++;
+  return null;
+}
+
+/**
+ * Store a Claude-generated takeaway. Fallback takeaways should not be
+ * stored — they would mask a real takeaway once the API is available again.
+ *
+ * @param {object} cache
+ * @param {object} article
+ * @param {string} takeaway
+ * @param {string|null} [category] - Claude-corrected category, if any
+ * @param {string|null} [promptVersion] - Id of the prompt template that produced it
+ * @param {string|null} [correctionPromptVersion] - Id of the correction prompt that rewrote it, if any
+ */
+export function storeTakeaway(cache, article, takeaway, category = null, promptVersion = null, correctionPromptVersion = null) {
+  const now = new Date().toISOString();
+  cache.entries[article.id] = {
+    hash: contentHash(article),
+    takeaway,
+    category,
+    promptVersion,
+    ...(correctionPromptVersion ? { correctionPromptVersion } : {}),
+    cachedAt: now,
+    lastUsedAt: now,
+  };
+}
+
+/**
+ * Persist the cache, evicting expired entries and trimming to the most
+ * recently used MAX_ENTRIES.
+ */
+export function saveTakeawayCache(cache) {
+  const now = Date.now();
+  const live = Object.entries(cache.entries)
+    .filter(([, e]) => now - new Date(e.cachedAt).getTime() < TTL_MS)
+    .sort((a, b) => new Date(b[1].lastUsedAt) - new Date(a[1].lastUsedAt))
+    .slice(0, MAX_ENTRIES);
+
+  const payload = {
+    version: CACHE_VERSION,
+    updatedAt: new Date(now).toISOString(),
+    count: live.length,
+    entries: Object.fromEntries(live),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(payload, null, 2), 'utf-8');
+  } catch (error) {
+    console.warn(`Failed to write takeaway-cache.json: ${error.message}`);
+  }
+}
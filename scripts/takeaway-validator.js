@@ -0,0 +1,86 @@
+/**
+ * PAI AeroNews - Takeaway Validation
+ *
+ * Checks a Claude takeaway before it reaches the public ticker:
+ *   - length between `minChars` and `maxChars`
+ *   - not a restatement of the headline (stemmed-word Jaccard above
+ *     `maxHeadlineSimilarity`) or a copy of the blurb (share of its words
+ *     found in the blurb above `maxBlurbOverlap`)
+ *   - no refusal / meta phrases ("I cannot", "this article", …), matched as
+ *     whole words so "here is" doesn't catch "there is"
+ *   - ends with sentence punctuation and contains no markdown
+ *
+ * Settings (sources.json → settings.takeawayValidation) override DEFAULTS;
+ * `bannedPhrases` there adds to the built-in list.
+ */
+
+import { wordSet, jaccard } from './story-clusters.js';
+
+const DEFAULTS = {
+  minChars: 30,
+  maxChars: 180,
+  maxHeadlineSimilarity: 0.6,
+  maxBlurbOverlap: 0.85,
+};
+
+const BANNED_PHRASES = [
+  'i cannot', "i can't", 'i am unable', "i'm unable", 'i apologize', 'as an ai',
+  'language model', 'i do not have', "i don't have", 'this article', 'the article',
+  'the headline', 'takeaway:', 'here is', "here's a",
+];
+
+/**
+ * Whether `phrase` occurs in `text` as whole words, not inside a longer word.
+ */
+function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`).test(text);
+}
+
+// Bold/italic markers, headings, inline code, links and list bullets
+const MARKDOWN = /(\*\*|__|`|^#+\s|^\s*[-*]\s|\[[^\]]*\]\([^)]*\))/m;
+
+/**
+ * Merge settings.takeawayValidation over DEFAULTS.
+ */
+export function takeawayValidationRules(config = {}) {
+  return {
+    ...DEFAULTS,
+    ...config,
+    bannedPhrases: [...BANNED_PHRASES, ...(config.bannedPhrases || []).map(p => String(p).toLowerCase())],
+  };
+}
+
+/**
+ * Validate a takeaway for `article`.
+ *
+ * @param {string} takeaway
+ * @param {object} article - needs headline and blurb
+ * @param {object} rules - from takeawayValidationRules()
+ * @returns {string[]} Reasons it was rejected (empty when valid)
+ */
+export function validateTakeaway(takeaway, article, rules) {
+  const text = (takeaway || '').trim();
+  const reasons = [];
+
+  if (text.length < rules.minChars) reasons.push(`shorter than ${rules.minChars} characters`);
+  if (text.length > rules.maxChars) reasons.push(`longer than ${rules.maxChars} characters (${text.length})`);
+
+  const lower = text.toLowerCase().replace(/[‘’]/g, "'");
+  const banned = rules.bannedPhrases.find(phrase => containsPhrase(lower, phrase));
+  if (banned) reasons.push(`contains "${banned}"`);
+
+  if (!/[.!?]["”’)]?$/.test(text)) reasons.push('does not end with sentence punctuation');
+  if (MARKDOWN.test(text)) reasons.push('contains markdown');
+
+  const words = wordSet(text);
+  if (jaccard(words, wordSet(article.headline)) > rules.maxHeadlineSimilarity) {
+    reasons.push('restates the headline');
+  } else if (article.blurb && words.size > 0) {
+    const blurbWords = wordSet(article.blurb);
+    const copied = [...words].filter(w => blurbWords.has(w)).length / words.size;
+    if (copied > rules.maxBlurbOverlap) reasons.push('repeats the description');
+  }
+
+  return reasons;
+}
@@ -0,0 +1,197 @@
+/**
+ * PAI AeroNews - URL Canonicalization
+ *
+ * Shared by fetch-rss.js, opportunity-spotter.js, analyst-mode.js and
+ * company-radar.js so the same article isn't counted as new because of
+ * tracking params, a redirect wrapper, an AMP path or http vs https.
+ *
+ *   canonicalizeUrl(url)  cleaned link safe to show and follow: redirectors
+ *                         unwrapped (Google, feedproxy, AMP cache), tracking
+ *                         params stripped, host lowercased, fragment dropped,
+ *                         per-domain rules applied
+ *   urlKey(url)           dedup key: canonical URL forced to https, without
+ *                         "www.", AMP suffix or trailing slash, params sorted
+ *
+ * Rules (sources.json → settings.urlCanonicalization):
+ *   stripParams   extra query params to strip everywhere ("prefix_*" allowed)
+ *   redirectors   extra { "host": "...", "param": "..." } redirect wrappers
+ *   domains       per-host rules: { "stripParams": [...], "keepParams": [...],
+ *                 "dropQuery": true }  (keepParams drops every other param)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+
+const TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ocid', 'cmpid',
+  'ncid', 'sr_share', 'spm',
+];
+
+// Redirect wrappers that carry the real URL in a query param
+const REDIRECTORS = [
+  { host: 'google.com', path: '/url', param: 'url' },
+  { host: 'google.com', path: '/url', param: 'q' },
+  { host: 'news.google.com', path: '/url', param: 'url' },
+];
+
+// Redirects are rarely nested more than once; cap so bad input can't loop
+const MAX_UNWRAP_DEPTH = 3;
+
+let cachedRules = null;
+
+/**
+ * Load settings.urlCanonicalization from sources.json (once per process).
+ */
+function loadRules() {
+  if (cachedRules) return cachedRules;
+  let config = {};
+  try {
+    const sources = JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf-8'));
+    config = sources.settings?.urlCanonicalization || {};
+  } catch {
+    // sources.json unreadable — built-in rules only
+  }
+  cachedRules = {
+    stripParams: [...TRACKING_PARAMS, ...(config.stripParams || [])],
+    redirectors: [...REDIRECTORS, ...(config.redirectors || [])],
+    domains: config.domains || {},
+  };
+  return cachedRules;
+}
+
+/**
+ * Whether `host` is `domain` or a subdomain of it.
+ */
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether a param name matches a pattern list ("utm_*" matches by prefix).
+ */
+function paramMatches(name, patterns) {
+  const lower = name.toLowerCase();
+  return patterns.some(p => (p.endsWith('*')
+    ? lower.startsWith(p.slice(0, -1).toLowerCase())
+    : lower === p.toLowerCase()));
+}
+
+/**
+ * Per-domain rule for a host (most specific configured domain wins).
+ */
+function domainRule(host, domains) {
+  const match = Object.keys(domains)
+    .filter(domain => hostMatches(host, domain.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? domains[match] : null;
+}
+
+/**
+ * Return the wrapped target URL if `u` is a known redirector, else null.
+ */
+function unwrapRedirect(u, redirectors) {
+  const host = u.hostname.toLowerCase();
+
+  // FeedBurner/feedproxy links only name the target when ?url= is present;
+  // plain /~r/ links need an HTTP round trip to resolve and are kept as-is
+  if (hostMatches(host, 'feedproxy.google.com') || hostMatches(host, 'feeds.feedburner.com')) {
+    const inner = u.searchParams.get('url');
+    if (inner) return inner;
+  }
+
+  // AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/path
+  if (hostMatches(host, 'cdn.ampproject.org')) {
+    const match = /^\/[a-z](?:\/(s))?\/(.+)$/.exec(u.pathname);
+    if (match) return `${match[1] ? 'https' : 'http'}://${match[2]}${u.search}`;
+  }
+
+  for (const r of redirectors) {
+    if (!hostMatches(host, r.host)) continue;
+    if (r.path && u.pathname !== r.path) continue;
+    const inner = u.searchParams.get(r.param);
+    if (inner && /^https?:\/\//i.test(inner)) return inner;
+  }
+  return null;
+}
+
+/**
+ * Canonicalize a URL for display and storage. Unparseable input is
+ * returned unchanged (trimmed).
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return url;
+  const rules = loadRules();
+
+  let u;
+  try {
+    u = new URL(url.trim());
+  } catch {
+    return url.trim();
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return u.toString();
+
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    const inner = unwrapRedirect(u, rules.redirectors);
+    if (!inner) break;
+    try {
+      u = new URL(inner);
+    } catch {
+      break;
+    }
+  }
+
+  u.hostname = u.hostname.toLowerCase();
+  u.hash = '';
+
+  const rule = domainRule(u.hostname, rules.domains);
+  const strip = [...rules.stripParams, ...(rule?.stripParams || [])];
+  for (const name of [...u.searchParams.keys()]) {
+    const drop = rule?.dropQuery
+      || (rule?.keepParams && !paramMatches(name, rule.keepParams))
+      || paramMatches(name, strip);
+    if (drop) u.searchParams.delete(name);
+  }
+
+  return u.toString().replace(/\?$/, '');
+}
+
+/**
+ * Dedup key for a URL: the canonical URL with https, no "www.", no AMP
+ * path suffix or ?amp param, no trailing slash and sorted params. Keys are
+ * themselves valid URLs, so urlKey(urlKey(x)) === urlKey(x) and seen-URL
+ * files written before canonicalization migrate on load.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function urlKey(url) {
+  const canonical = canonicalizeUrl(url);
+  let u;
+  try {
+    u = new URL(canonical);
+  } catch {
+    return canonical;
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return canonical;
+
+  u.protocol = 'https:';
+  u.port = '';
+  u.hostname = u.hostname.replace(/^(www|amp|m)\./, '');
+  u.pathname = u.pathname.replace(/\/amp\/?$/, '').replace(/\.amp(\.html)?$/, '$1') || '/';
+  u.searchParams.delete('amp');
+  if (u.searchParams.get('outputType') === 'amp') u.searchParams.delete('outputType');
+  u.searchParams.sort();
+
+  const key = u.toString().replace(/\?$/, '');
+  return key.replace(/\/(?=$|\?)/, '');
+}
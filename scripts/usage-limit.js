@@ -4,19 +4,59 @@
  * PAI AeroNews - Claude API Usage Limiter
  *
  * Tracks daily Anthropic Claude API call counts in dist/usage-counters.json
- * and enforces hard caps to prevent cost spikes from loop bugs.
+ * and enforces hard caps to prevent cost spikes from loop bugs. Input and
+ * output tokens are recorded per counter key, priced from MODEL_PRICES, and
+ * checked against daily and monthly dollar ceilings shared by all pipelines.
  *
- * Counter resets automatically each UTC day (YYYY-MM-DD boundary).
+ * Daily counters reset automatically each UTC day (YYYY-MM-DD boundary);
+ * monthly spend totals reset each UTC month (YYYY-MM boundary). Before a
+ * day's counters are reset they are appended to dist/usage-ledger.jsonl
+ * (one row per counter key per day, kept for USAGE_LEDGER_RETENTION_DAYS).
+ *
+ * Every read-modify-write runs under dist/usage-counters.json.lock and
+ * writes via temp file + rename, so overlapping scripts or workflow runs
+ * can't lose increments or leave a truncated file. A counters file that
+ * exists but can't be parsed is reported and blocks further Claude calls
+ * (fail closed) until it is repaired or reset.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { withFileLock } from './lock-file.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const COUNTERS_PATH = path.join(__dirname, '..', 'dist', 'usage-counters.json');
+const LEDGER_PATH = path.join(__dirname, '..', 'dist', 'usage-ledger.jsonl');
+const LEDGER_RETENTION_DAYS = parseInt(process.env.USAGE_LEDGER_RETENTION_DAYS || '400', 10);
+const LOCK_PATH = `${COUNTERS_PATH}.lock`;
+const LOCK_STALE_MS = 10000;
+
+/**
+ * USD per million tokens. Unknown models are priced at FALLBACK_PRICE so a
+ * model swap can't slip past the dollar ceilings.
+ */
+const MODEL_PRICES = {
+  'claude-haiku-4-5-20251001': { input: 1.00, output: 5.00 },
+  'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+  'claude-sonnet-4-5-20250929': { input: 3.00, output: 15.00 },
+  'claude-opus-4-1-20250805': { input: 15.00, output: 75.00 },
+};
+const FALLBACK_PRICE = { input: 15.00, output: 75.00 };
+
+const DAILY_USD_CAP = parseFloat(process.env.CLAUDE_DAILY_USD_CAP || '3');
+const MONTHLY_USD_CAP = parseFloat(process.env.CLAUDE_MONTHLY_USD_CAP || '30');
+
+/**
+ * Display labels for the counter keys used by each pipeline.
+ */
+const PIPELINE_LABELS = {
+  claudeCallsToday: 'Public',
+  analystCallsToday: 'Analyst',
+  opportunityCallsToday: 'Opportunity',
+};
 
 /**
  * Get today's UTC date string (YYYY-MM-DD)
@@ -26,37 +66,224 @@ function utcToday() {
 }
 
 /**
- * Load counters from disk, creating a fresh file if missing or corrupted.
- * Resets counters when the UTC date rolls over.
+ * Run `fn` while holding the counters lockfile (see lock-file.js). Holders
+ * only do a few milliseconds of synchronous file I/O.
  */
-function loadCounters() {
+function withCounterLock(fn) {
+  return withFileLock(LOCK_PATH, fn, { staleMs: LOCK_STALE_MS, label: 'usage-counters' });
+}
+
+/**
+ * Write `contents` to `filePath` atomically (temp file in the same directory + rename).
+ */
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, contents, 'utf-8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read the counters file. Returns null if it doesn't exist, or
+ * `{ corrupted: true, error }` if it exists but isn't valid counters JSON.
+ */
+function readCountersFile() {
+  let raw;
+  try {
+    raw = fs.readFileSync(COUNTERS_PATH, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    return { corrupted: true, error: error.message };
+  }
   try {
-    const raw = fs.readFileSync(COUNTERS_PATH, 'utf-8');
     const data = JSON.parse(raw);
-    if (data.date === utcToday()) {
-      return data;
+    if (!data || typeof data !== 'object' || typeof data.date !== 'string') {
+      throw new Error('missing "date" field');
+    }
+    return data;
+  } catch (error) {
+    return { corrupted: true, error: error.message };
+  }
+}
+
+/**
+ * Fresh counters for today, optionally carrying this month's totals.
+ */
+function freshCounters(monthly = {}) {
+  const today = utcToday();
+  return { date: today, claudeCallsToday: 0, month: today.slice(0, 7), monthly };
+}
+
+/**
+ * Load counters from disk, creating fresh counters if the file is missing.
+ * Resets daily counters when the UTC date rolls over and monthly totals
+ * when the UTC month rolls over. A corrupted file is reported and returned
+ * as `{ corrupted: true }` — it is never silently replaced with zeros.
+ */
+function loadCounters() {
+  const today = utcToday();
+  const month = today.slice(0, 7);
+  const data = readCountersFile();
+
+  if (!data) return freshCounters();
+  if (data.corrupted) {
+    if (!loadCounters._corruptLogged) {
+      console.error(`✗ ${COUNTERS_PATH} is corrupted (${data.error}). Claude calls are blocked until it is repaired or reset (npm run usage:reset).`);
+      loadCounters._corruptLogged = true;
+    }
+    return data;
+  }
+  if (data.date === today) {
+    if (data.month !== month) {
+      data.month = month;
+      data.monthly = {};
+    }
+    return data;
+  }
+
+  // Date rolled over — archive yesterday's counters, then reset daily
+  // counters and carry this month's totals. Re-check under the lock in
+  // case another process already rolled over.
+  return withCounterLock(() => {
+    const current = readCountersFile();
+    if (!current || current.corrupted || current.date === today) {
+      return current || freshCounters();
     }
-    // Date rolled over — reset
+    appendLedgerRows(current);
+    const fresh = freshCounters(current.month === month ? (current.monthly || {}) : {});
+    saveCounters(fresh);
+    return fresh;
+  });
+}
+
+/**
+ * Load → mutate → save under the counters lock. Skips the write if the
+ * file is corrupted so the evidence stays on disk.
+ */
+function updateCounters(mutate) {
+  return withCounterLock(() => {
+    const counters = loadCounters();
+    if (counters.corrupted) return counters;
+    const result = mutate(counters);
+    saveCounters(counters);
+    return result;
+  });
+}
+
+/**
+ * Build one ledger row per counter key from a day's counters.
+ * Counter keys are the numeric top-level fields (e.g. `analystCallsToday`)
+ * plus any key that only has token totals.
+ */
+function ledgerRowsFor(counters) {
+  const keys = new Set(Object.keys(counters.tokens || {}));
+  for (const [field, value] of Object.entries(counters)) {
+    if (typeof value === 'number') keys.add(field);
+  }
+
+  return [...keys].map(key => ({
+    date: counters.date,
+    key,
+    calls: counters[key] || 0,
+    inputTokens: counters.tokens?.[key]?.input || 0,
+    outputTokens: counters.tokens?.[key]?.output || 0,
+    costUsd: counters.tokens?.[key]?.costUsd || 0,
+    cap: counters.caps?.[key] ?? null,
+    capHit: counters.capHits?.[key] || null,
+  }));
+}
+
+/**
+ * Append a finished day's rows to the ledger and drop rows older than
+ * LEDGER_RETENTION_DAYS. Failures are logged, never thrown — the ledger
+ * is a reporting aid, not part of cap enforcement.
+ */
+function appendLedgerRows(counters) {
+  if (!counters?.date) return;
+  try {
+    const cutoff = new Date(Date.now() - LEDGER_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    const existing = readLedger().filter(row => row.date >= cutoff && row.date !== counters.date);
+    const rows = [...existing, ...ledgerRowsFor(counters)];
+    writeFileAtomic(LEDGER_PATH, rows.map(r => JSON.stringify(r)).join('\n') + '\n');
+  } catch (error) {
+    console.warn(`Failed to update usage-ledger.jsonl: ${error.message}`);
+  }
+}
+
+/**
+ * Read every ledger row. Unparseable lines are skipped.
+ */
+function readLedger() {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(LEDGER_PATH, 'utf-8');
   } catch {
-    // File missing or corrupted — start fresh
+    return [];
   }
-  return { date: utcToday(), claudeCallsToday: 0 };
+  const rows = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      // skip corrupted line
+    }
+  }
+  return rows;
+}
+
+/**
+ * Return ledger rows for the last `days` UTC days, including today's
+ * in-progress counters.
+ *
+ * @param {number} [days=30]
+ */
+export function usageHistory(days = 30) {
+  const today = utcToday();
+  const cutoff = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+  // Load counters first — a pending date rollover appends to the ledger
+  const current = loadCounters();
+  const rows = readLedger().filter(row => row.date >= cutoff && row.date !== today);
+  rows.push(...ledgerRowsFor(current));
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Price a token count in USD for `model`. An explicit `price` (USD per
+ * million tokens, e.g. from an LLM provider's settings) takes precedence.
+ */
+export function priceTokens(inputTokens, outputTokens, model, price = MODEL_PRICES[model] || FALLBACK_PRICE) {
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Sum costUsd across every counter key in a `{ key: { costUsd } }` map.
+ */
+function totalCost(byKey) {
+  return Object.values(byKey || {}).reduce((sum, e) => sum + (e.costUsd || 0), 0);
+}
+
+/**
+ * Return today's and this month's USD spend across all pipelines.
+ */
+export function claudeSpend() {
+  const counters = loadCounters();
+  return { today: totalCost(counters.tokens), month: totalCost(counters.monthly) };
 }
 
 /**
- * Persist counters to disk.
+ * Persist counters to disk atomically. Callers must hold the counters lock.
  */
 function saveCounters(counters) {
-  const dir = path.dirname(COUNTERS_PATH);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-  fs.writeFileSync(COUNTERS_PATH, JSON.stringify(counters, null, 2), 'utf-8');
+  writeFileAtomic(COUNTERS_PATH, JSON.stringify(counters, null, 2));
 }
 
 /**
- * Check whether `callsNeeded` more Claude API calls fit under `cap`.
- * Returns true if allowed, false if the cap would be exceeded.
+ * Check whether `callsNeeded` more Claude API calls fit under `cap` and
+ * the daily/monthly dollar ceilings have not been reached.
+ * Returns true if allowed, false if any limit would be exceeded. Read-only:
+ * the cap and cap hits the ledger reports are written by recordClaudeCalls
+ * and recordClaudeTokens.
  *
  * @param {number} callsNeeded
  * @param {number} cap
@@ -64,22 +291,99 @@ function saveCounters(counters) {
  */
 export function canSpendClaude(callsNeeded = 1, cap, counterKey = 'claudeCallsToday') {
   const counters = loadCounters();
+  if (counters.corrupted) return false;
   const used = counters[counterKey] || 0;
-  return (used + callsNeeded) <= cap;
+
+  if ((used + callsNeeded) > cap) return false;
+
+  const spentToday = totalCost(counters.tokens);
+  const spentMonth = totalCost(counters.monthly);
+  if (spentToday >= DAILY_USD_CAP || spentMonth >= MONTHLY_USD_CAP) {
+    if (!canSpendClaude._budgetLogged) {
+      console.warn(`⚠ CLAUDE DOLLAR BUDGET REACHED (today: $${spentToday.toFixed(2)} of $${DAILY_USD_CAP.toFixed(2)}, month: $${spentMonth.toFixed(2)} of $${MONTHLY_USD_CAP.toFixed(2)}).`);
+      canSpendClaude._budgetLogged = true;
+    }
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Flag that a counter key reached a limit today (`kind` "calls" or "usd"),
+ * for the ledger report. The first limit reached is kept.
+ */
+function markCapHit(counters, counterKey, kind) {
+  if (counters.capHits?.[counterKey]) return;
+  counters.capHits = { ...counters.capHits, [counterKey]: kind };
 }
 
 /**
  * Record that `count` Claude API calls were made.
- * Persists immediately so the counter survives process crashes.
+ * Persists immediately so the counter survives process crashes. With `cap`,
+ * also remembers the cap in force today and flags a cap hit once the
+ * counter reaches it, for the ledger report.
  *
  * @param {number} count
  * @param {string} [counterKey='claudeCallsToday'] - Counter field name for independent tracking
+ * @param {number} [cap] - Daily call cap the caller checked with canSpendClaude
  */
-export function recordClaudeCalls(count = 1, counterKey = 'claudeCallsToday') {
-  const counters = loadCounters();
-  counters[counterKey] = (counters[counterKey] || 0) + count;
-  saveCounters(counters);
-  return counters[counterKey];
+export function recordClaudeCalls(count = 1, counterKey = 'claudeCallsToday', cap) {
+  return updateCounters(counters => {
+    counters[counterKey] = (counters[counterKey] || 0) + count;
+    const monthly = counters.monthly[counterKey] || { calls: 0, input: 0, output: 0, costUsd: 0 };
+    monthly.calls += count;
+    counters.monthly[counterKey] = monthly;
+    if (cap !== undefined) {
+      counters.caps = { ...counters.caps, [counterKey]: cap };
+      if (counters[counterKey] >= cap) markCapHit(counters, counterKey, 'calls');
+    }
+    return counters[counterKey];
+  });
+}
+
+/**
+ * Record input/output tokens reported in a Claude response's `usage` block
+ * and add their USD cost to today's and this month's totals. Flags a "usd"
+ * cap hit for `counterKey` if this spend reaches a dollar ceiling.
+ *
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @param {string} [counterKey='claudeCallsToday'] - Counter field name for independent tracking
+ * @param {string} [model] - Model id used to look up MODEL_PRICES
+ * @param {{input: number, output: number}} [price] - Overrides the MODEL_PRICES lookup
+ */
+export function recordClaudeTokens(inputTokens = 0, outputTokens = 0, counterKey = 'claudeCallsToday', model, price) {
+  const cost = priceTokens(inputTokens, outputTokens, model, price);
+
+  return updateCounters(counters => {
+    counters.tokens = counters.tokens || {};
+    const entry = counters.tokens[counterKey] || { input: 0, output: 0, costUsd: 0 };
+    entry.input += inputTokens;
+    entry.output += outputTokens;
+    entry.costUsd = (entry.costUsd || 0) + cost;
+    counters.tokens[counterKey] = entry;
+
+    const monthly = counters.monthly[counterKey] || { calls: 0, input: 0, output: 0, costUsd: 0 };
+    monthly.input += inputTokens;
+    monthly.output += outputTokens;
+    monthly.costUsd += cost;
+    counters.monthly[counterKey] = monthly;
+
+    if (totalCost(counters.tokens) >= DAILY_USD_CAP || totalCost(counters.monthly) >= MONTHLY_USD_CAP) {
+      markCapHit(counters, counterKey, 'usd');
+    }
+    return entry;
+  });
+}
+
+/**
+ * Return today's token totals and USD cost for a counter key (read-only).
+ *
+ * @param {string} [counterKey='claudeCallsToday'] - Counter field name for independent tracking
+ */
+export function claudeTokensToday(counterKey = 'claudeCallsToday') {
+  const entry = loadCounters().tokens?.[counterKey];
+  return { input: entry?.input || 0, output: entry?.output || 0, costUsd: entry?.costUsd || 0 };
 }
 
 /**
@@ -107,6 +411,7 @@ export function claudeCallsRemaining(cap, counterKey = 'claudeCallsToday') {
 //   node scripts/usage-limit.js status
 //   node scripts/usage-limit.js simulate <count>
 //   node scripts/usage-limit.js reset
+//   node scripts/usage-limit.js report [--days 30] [--format csv|json] [--out <file>]
 if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename)) {
   const cmd = process.argv[2];
   const PUBLIC_CAP = parseInt(process.env.CLAUDE_DAILY_CALL_CAP_PUBLIC || '900', 10);
@@ -115,29 +420,103 @@ if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(__filename
 
   if (cmd === 'status') {
     const c = loadCounters();
+    if (c.corrupted) {
+      console.error('Counters file is corrupted — run `node scripts/usage-limit.js reset` after inspecting it.');
+      process.exit(1);
+    }
     console.log(`Date:              ${c.date}`);
     console.log(`Public calls:      ${c.claudeCallsToday || 0}  (cap: ${PUBLIC_CAP}, remaining: ${Math.max(0, PUBLIC_CAP - (c.claudeCallsToday || 0))})`);
     console.log(`Analyst calls:     ${c.analystCallsToday || 0}  (cap: ${ANALYST_CAP}, remaining: ${Math.max(0, ANALYST_CAP - (c.analystCallsToday || 0))})`);
     console.log(`Opportunity calls: ${c.opportunityCallsToday || 0}  (cap: ${OPPORTUNITY_CAP}, remaining: ${Math.max(0, OPPORTUNITY_CAP - (c.opportunityCallsToday || 0))})`);
+    console.log('');
+    console.log('Spend by pipeline:');
+    const keys = new Set([...Object.keys(c.tokens || {}), ...Object.keys(c.monthly || {})]);
+    for (const key of keys) {
+      const day = c.tokens?.[key] || {};
+      const mon = c.monthly?.[key] || {};
+      const label = `${PIPELINE_LABELS[key] || key}:`.padEnd(19);
+      console.log(`${label}today $${(day.costUsd || 0).toFixed(4)} (${day.input || 0} in / ${day.output || 0} out), month $${(mon.costUsd || 0).toFixed(4)} (${mon.calls || 0} calls)`);
+    }
+    const spentToday = totalCost(c.tokens);
+    const spentMonth = totalCost(c.monthly);
+    console.log(`Total today:       $${spentToday.toFixed(4)}  (ceiling: $${DAILY_USD_CAP.toFixed(2)}, ${spentToday >= DAILY_USD_CAP ? 'REACHED' : 'OK'})`);
+    console.log(`Total ${c.month}:     $${spentMonth.toFixed(4)}  (ceiling: $${MONTHLY_USD_CAP.toFixed(2)}, ${spentMonth >= MONTHLY_USD_CAP ? 'REACHED' : 'OK'})`);
   } else if (cmd === 'simulate') {
     const n = parseInt(process.argv[3], 10);
     if (isNaN(n) || n < 0) {
       console.error('Usage: node scripts/usage-limit.js simulate <count>');
       process.exit(1);
     }
-    const counters = loadCounters();
-    counters.claudeCallsToday = n;
-    saveCounters(counters);
+    const counters = updateCounters(c => {
+      c.claudeCallsToday = n;
+      return c;
+    });
+    if (counters.corrupted) process.exit(1);
     console.log(`Simulated ${n} calls for ${counters.date}`);
     console.log(`Public cap (${PUBLIC_CAP}):  ${n >= PUBLIC_CAP ? 'REACHED' : 'OK'}`);
     console.log(`Analyst cap (${ANALYST_CAP}): ${n >= ANALYST_CAP ? 'REACHED' : 'OK'}`);
+  } else if (cmd === 'report') {
+    const args = process.argv.slice(3);
+    const argValue = (flag) => {
+      const i = args.indexOf(flag);
+      return i >= 0 ? args[i + 1] : undefined;
+    };
+    const days = parseInt(argValue('--days') || '30', 10);
+    const format = argValue('--format');
+    const outPath = argValue('--out');
+    if (isNaN(days) || days < 1 || (format && !['csv', 'json'].includes(format))) {
+      console.error('Usage: node scripts/usage-limit.js report [--days 30] [--format csv|json] [--out <file>]');
+      process.exit(1);
+    }
+
+    const rows = usageHistory(days);
+
+    if (format) {
+      const columns = ['date', 'key', 'calls', 'inputTokens', 'outputTokens', 'costUsd', 'cap', 'capHit'];
+      const output = format === 'json'
+        ? JSON.stringify(rows, null, 2) + '\n'
+        : [columns.join(','), ...rows.map(r => columns.map(c => r[c] ?? '').join(','))].join('\n') + '\n';
+      if (outPath) {
+        fs.writeFileSync(outPath, output, 'utf-8');
+        console.log(`Wrote ${rows.length} row(s) to ${outPath}`);
+      } else {
+        process.stdout.write(output);
+      }
+      process.exit(0);
+    }
+
+    console.log(`Claude usage — last ${days} day(s)`);
+    console.log('');
+    const byKey = new Map();
+    for (const row of rows) {
+      if (!byKey.has(row.key)) byKey.set(row.key, []);
+      byKey.get(row.key).push(row);
+    }
+    for (const [key, keyRows] of byKey) {
+      const calls = keyRows.reduce((sum, r) => sum + r.calls, 0);
+      const input = keyRows.reduce((sum, r) => sum + r.inputTokens, 0);
+      const output = keyRows.reduce((sum, r) => sum + r.outputTokens, 0);
+      const cost = keyRows.reduce((sum, r) => sum + r.costUsd, 0);
+      const peak = keyRows.reduce((max, r) => (r.calls > max.calls ? r : max), keyRows[0]);
+      const capDays = keyRows.filter(r => r.capHit);
+      console.log(`${PIPELINE_LABELS[key] || key}`);
+      console.log(`  Calls:   ${calls} over ${keyRows.length} day(s), peak ${peak.calls} on ${peak.date}`);
+      console.log(`  Tokens:  ${input} in / ${output} out`);
+      console.log(`  Cost:    $${cost.toFixed(4)}`);
+      if (capDays.length > 0) {
+        console.log(`  ⚠ Cap reached on: ${capDays.map(r => `${r.date} (${r.capHit})`).join(', ')}`);
+      }
+    }
+    if (byKey.size === 0) console.log('No usage recorded.');
   } else if (cmd === 'reset') {
-    saveCounters({ date: utcToday(), claudeCallsToday: 0 });
+    withCounterLock(() => saveCounters(freshCounters()));
     console.log('Counters reset to 0.');
   } else {
     console.log('Usage:');
     console.log('  node scripts/usage-limit.js status              Show current counters');
     console.log('  node scripts/usage-limit.js simulate <count>    Set counter to <count>');
     console.log('  node scripts/usage-limit.js reset               Reset counters to 0');
+    console.log('  node scripts/usage-limit.js report [--days 30] [--format csv|json] [--out <file>]');
+    console.log('                                                  Per-pipeline history from the usage ledger');
   }
 }
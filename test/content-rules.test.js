@@ -0,0 +1,41 @@
+/**
+ * PAI AeroNews - Content Rules and Category Routing Tests
+ *
+ * Full-text enrichment runs before both stages, so rules that list the
+ * bodyText field see the extracted page text.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyContentRules } from '../scripts/content-rules.js';
+import { routeCategories } from '../scripts/category-routing.js';
+
+function article(id, bodyText) {
+  return {
+    id,
+    headline: 'Operator Adds Aircraft to Fleet',
+    blurb: 'A short teaser.',
+    bodyText,
+    source: { name: 'Example Feed', url: `https://news.example.com/${id}` },
+    category: 'commercial',
+  };
+}
+
+test('content rules match bodyText only when the field is listed', () => {
+  const articles = [article('grant', 'The airport received a federal grant for the new terminal.'), article('plain', undefined)];
+
+  const byDefault = applyContentRules(articles, { ruleSets: [{ name: 'grants', exclude: ['grant'] }] });
+  assert.equal(byDefault.dropped.length, 0);
+
+  const withBody = applyContentRules(articles, { ruleSets: [{ name: 'grants', fields: ['headline', 'bodyText'], exclude: ['grant'] }] });
+  assert.deepEqual(withBody.articles.map(a => a.id), ['plain']);
+});
+
+test('category routes can match bodyText', () => {
+  const articles = [article('ntsb', 'NTSB investigators arrived at the scene on Tuesday.'), article('plain', undefined)];
+  const settings = { categoryRoutes: [{ name: 'body-ntsb', category: 'safety', terms: ['NTSB'], fields: ['bodyText'] }] };
+
+  const { routed } = routeCategories(articles, [], settings, new Set(['commercial', 'safety']));
+  assert.equal(routed, 1);
+  assert.deepEqual(articles.map(a => a.category), ['safety', 'commercial']);
+});
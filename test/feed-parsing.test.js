@@ -0,0 +1,109 @@
+/**
+ * PAI AeroNews - Feed Parsing Tests
+ *
+ * Parses the fixtures in test/fixtures/ the way fetchFeed does and checks
+ * the normalized article fields for each feed type.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFeedItems } from '../scripts/feed-parsing.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUN_STARTED_AT = new Date('2026-10-19T00:00:00Z');
+
+function parseFixture(file, feedOverrides = {}) {
+  const feed = { name: 'Example Feed', category: 'industry', ...feedOverrides };
+  const body = fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf-8');
+  const { items, normalize } = parseFeedItems(body, feed);
+  return items.map(item => {
+    try {
+      return normalize(item, feed, RUN_STARTED_AT);
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+}
+
+test('RSS 2.0: cleans text, canonicalizes the link and picks the largest media image', () => {
+  const [first, undated] = parseFixture('rss2.xml');
+
+  assert.equal(first.headline, 'Cirrus Delivers 10,000th SR22 – A Milestone');
+  assert.equal(first.blurb, 'Cirrus Aircraft handed over its 10,000th SR22 this week.');
+  assert.deepEqual(first.source, { name: 'Example Feed', url: 'https://news.example.com/2026/10/cirrus-sr22' });
+  assert.equal(first.category, 'industry');
+  assert.equal(first.publishedAt, '2026-10-12T14:30:00.000Z');
+  assert.equal(first.dateMissing, undefined);
+  assert.equal(first.image, 'https://cdn.example.com/sr22-large.jpg');
+  assert.equal(first.takeaway, null);
+  assert.deepEqual(first.keywords, ['cirrus', 'sr22']);
+  assert.match(first.id, /^[0-9a-z]+$/);
+
+  assert.equal(undated.publishedAt, null);
+  assert.equal(undated.dateMissing, true);
+  assert.equal(undated.image, 'https://news.example.com/img/ad.png');
+  assert.deepEqual(undated.keywords, ['faa']);
+});
+
+test('Atom: uses the alternate link and clamps future dates to the run start', () => {
+  const [report, future] = parseFixture('atom.xml');
+
+  assert.equal(report.headline, 'NTSB Releases Preliminary Report');
+  assert.equal(report.blurb, 'The NTSB published its preliminary report on the accident.');
+  assert.equal(report.source.url, 'https://atom.example.com/ntsb-preliminary');
+  assert.equal(report.publishedAt, '2026-10-12T08:15:00.000Z');
+  assert.deepEqual(report.keywords, ['ntsb', 'accident']);
+
+  assert.equal(future.source.url, 'https://atom.example.com/future');
+  assert.equal(future.publishedAt, RUN_STARTED_AT.toISOString());
+});
+
+test('JSON Feed 1.1: resolves relative URLs, falls back for missing titles and rejects items without a URL', () => {
+  const [post, micro, noUrl] = parseFixture('jsonfeed-1.1.json', {
+    type: 'jsonfeed',
+    url: 'https://json.example.com/feed.json',
+  });
+
+  assert.equal(post.headline, 'eVTOL Maker Completes Certification Flight');
+  assert.equal(post.blurb, 'The air taxi flew its first for-credit test.');
+  assert.equal(post.source.url, 'https://json.example.com/posts/evtol-certification');
+  assert.equal(post.publishedAt, '2026-10-11T20:45:00.000Z');
+  assert.equal(post.image, 'https://json.example.com/evtol-banner.jpg');
+  assert.deepEqual(post.keywords, ['evtol', 'certification']);
+
+  assert.equal(micro.headline, 'A title-less micro post about business aviation demand.');
+  assert.equal(micro.source.url, 'https://other.example.org/story');
+  assert.equal(micro.publishedAt, '2026-10-10T12:00:00.000Z');
+  assert.equal(micro.image, undefined);
+
+  assert.deepEqual(noUrl, { error: 'JSON Feed item 3 has no URL' });
+});
+
+test('JSON Feed: rejects a body without a JSON Feed version', () => {
+  assert.throws(
+    () => parseFeedItems('{"items": []}', { name: 'Example Feed', type: 'jsonfeed' }),
+    /not a JSON Feed/,
+  );
+});
+
+test('news sitemap: takes title, date and image from the news extension', () => {
+  const [deliveries, lastmod] = parseFixture('news-sitemap.xml', { type: 'news-sitemap' });
+
+  assert.equal(deliveries.headline, 'Boeing Reports Quarterly Deliveries');
+  assert.equal(deliveries.blurb, '');
+  assert.equal(deliveries.source.url, 'https://sitemap.example.com/2026/10/boeing-deliveries');
+  assert.equal(deliveries.publishedAt, '2026-10-12T07:00:00.000Z');
+  assert.equal(deliveries.image, 'https://sitemap.example.com/img/deliveries.jpg');
+  assert.deepEqual(deliveries.keywords, ['boeing', '737 max']);
+
+  assert.equal(lastmod.headline, 'Entry Dated By Lastmod');
+  assert.equal(lastmod.publishedAt, '2026-10-11T10:00:00.000Z');
+});
+
+test('images: false skips image extraction', () => {
+  const [first] = parseFixture('rss2.xml', { images: false });
+  assert.equal(first.image, undefined);
+});
@@ -0,0 +1,61 @@
+/**
+ * PAI AeroNews - Fetch Scheduler Tests
+ *
+ * Runs scheduledFetch against a local server with Date.now() frozen, as it
+ * is during --replay, to check per-host delays and retry-after don't depend
+ * on the wall clock.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { scheduledFetch } from '../scripts/fetch-scheduler.js';
+
+let server;
+let baseUrl;
+let flakyHits = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/flaky' && flakyHits++ === 0) {
+      // retry-after as an HTTP date one second after the server's own date
+      const serverNow = Date.parse('2026-10-19T12:00:00Z');
+      res.writeHead(503, {
+        'date': new Date(serverNow).toUTCString(),
+        'retry-after': new Date(serverNow + 1000).toUTCString(),
+      });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end(req.url);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function withFrozenDateNow(fn) {
+  const realNow = Date.now;
+  Date.now = () => Date.parse('2020-01-01T00:00:00Z');
+  return fn().finally(() => {
+    Date.now = realNow;
+  });
+}
+
+test('same-host requests complete while Date.now() is frozen', { timeout: 10000 }, () =>
+  withFrozenDateNow(async () => {
+    const responses = await Promise.all(['/a', '/b', '/c', '/d'].map(p => scheduledFetch(baseUrl + p)));
+    assert.deepEqual(await Promise.all(responses.map(r => r.text())), ['/a', '/b', '/c', '/d']);
+  }));
+
+test('an HTTP-date retry-after is measured against the response date header', { timeout: 10000 }, () =>
+  withFrozenDateNow(async () => {
+    const started = performance.now();
+    const response = await scheduledFetch(`${baseUrl}/flaky`, { maxRetries: 1 });
+    assert.equal(response.status, 200);
+    assert.equal(flakyHits, 2);
+    const waited = performance.now() - started;
+    assert.ok(waited >= 900 && waited < 5000, `waited ${Math.round(waited)}ms`);
+  }));
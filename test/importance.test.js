@@ -0,0 +1,65 @@
+/**
+ * PAI AeroNews - Importance Scoring and Selection Tests
+ *
+ * Checks that scores are measured from the run start and that, with
+ * scoring on, balanceArticles applies the diversity caps in score order.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importanceConfig, scoreArticles, byScore } from '../scripts/importance.js';
+import { balanceArticles } from '../scripts/diversity.js';
+
+const RUN_START = Date.parse('2026-10-19T12:00:00Z');
+const hoursAgo = (hours) => new Date(RUN_START - hours * 3600000).toISOString();
+
+function article(id, feed, category, ageHours, extra = {}) {
+  return { id, headline: id, source: { name: feed }, category, publishedAt: hoursAgo(ageHours), entities: [], ...extra };
+}
+
+test('recency is measured from the run start, not the wall clock', () => {
+  const config = importanceConfig({ weights: { recency: 10 }, recencyHalfLifeHours: 24 });
+  const articles = [article('fresh', 'A', 'commercial', 0), article('day-old', 'A', 'commercial', 24)];
+  scoreArticles(articles, [], config, RUN_START);
+  assert.equal(articles[0].score, 10);
+  assert.equal(articles[1].score, 5);
+});
+
+test('undated articles get no recency points', () => {
+  const articles = [article('undated', 'A', 'commercial', 0, { publishedAt: null, dateMissing: true })];
+  scoreArticles(articles, [], importanceConfig(), RUN_START);
+  assert.equal(articles[0].score, 0);
+});
+
+test('ranked selection lets the score, not feed turns, pick the survivors', () => {
+  const feeds = [{ name: 'Big' }, { name: 'Small' }];
+  const articles = [
+    article('big-1', 'Big', 'safety', 1, { score: 30 }),
+    article('big-2', 'Big', 'safety', 1, { score: 25 }),
+    article('big-3', 'Big', 'safety', 1, { score: 20 }),
+    article('small-1', 'Small', 'commercial', 1, { score: 2 }),
+  ].sort(byScore);
+
+  const interleaved = balanceArticles(articles, feeds, {}, 2);
+  assert.deepEqual(interleaved.slice(0, 2).map(a => a.id), ['big-1', 'small-1']);
+
+  const ranked = balanceArticles(articles, feeds, {}, 2, { ranked: true });
+  assert.deepEqual(ranked.slice(0, 2).map(a => a.id), ['big-1', 'big-2']);
+});
+
+test('ranked selection applies per-feed caps, weight 0 and category limits in score order', () => {
+  const feeds = [{ name: 'Big', maxItems: 2 }, { name: 'Small' }, { name: 'Muted', weight: 0 }];
+  const settings = { diversity: { categoryLimits: { drones: { max: 1 }, safety: { min: 1 } } } };
+  const articles = [
+    article('big-1', 'Big', 'commercial', 1, { score: 40 }),
+    article('muted-1', 'Muted', 'commercial', 1, { score: 35 }),
+    article('big-2', 'Big', 'drones', 1, { score: 30 }),
+    article('big-3', 'Big', 'commercial', 1, { score: 28 }),
+    article('small-1', 'Small', 'drones', 1, { score: 20 }),
+    article('small-2', 'Small', 'commercial', 1, { score: 10 }),
+    article('small-3', 'Small', 'safety', 1, { score: 1 }),
+  ].sort(byScore);
+
+  const picked = balanceArticles(articles, feeds, settings, 4, { ranked: true }).slice(0, 4);
+  assert.deepEqual(picked.map(a => a.id), ['big-1', 'big-2', 'small-2', 'small-3']);
+});
@@ -0,0 +1,57 @@
+/**
+ * PAI AeroNews - Mock LLM Provider Tests
+ *
+ * The mock answers from the template id and vars passed with the call, so
+ * these render the real templates with buildPrompt and check the replies.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDERS } from '../scripts/llm-providers.js';
+import { buildPrompt } from '../scripts/prompts.js';
+
+const { mock } = PROVIDERS;
+
+function respond(built) {
+  return mock.respond({ system: built.system, prompt: built.prompt, promptId: built.id, promptVars: built.vars });
+}
+
+test('takeaway: JSON object with the article default category', () => {
+  const built = buildPrompt('takeaway', 'a1', {
+    categories: 'safety, commercial',
+    category: 'safety',
+    headline: 'JSON array of headlines: NTSB opens probe',
+    description: 'No description available',
+  });
+  const parsed = JSON.parse(respond(built).text);
+  assert.equal(parsed.category, 'safety');
+  assert.match(parsed.takeaway, /^Mock insight [0-9a-f]{6}: /);
+});
+
+test('takeaway-batch and takeaway-correction: one entry per article id', () => {
+  const articles = [
+    { id: 'a1', category: 'safety', headline: 'First', description: 'One.' },
+    { id: 'a2', category: 'commercial', headline: 'Second', description: 'Two.' },
+  ];
+  const batch = buildPrompt('takeaway-batch', 'a1', { categories: 'safety, commercial', articles });
+  const correction = buildPrompt('takeaway-correction', 'a1', {
+    minChars: 30,
+    maxChars: 180,
+    categories: 'safety, commercial',
+    articles: articles.map(a => ({ ...a, takeaway: 'bad', problems: 'too short' })),
+  });
+
+  for (const built of [batch, correction]) {
+    const parsed = JSON.parse(respond(built).text);
+    assert.deepEqual(parsed.map(e => [e.id, e.category]), [['a1', 'safety'], ['a2', 'commercial']]);
+  }
+});
+
+test('analyst-brief: SUMMARY sections for the headline', () => {
+  const built = buildPrompt('analyst-brief', 'a1', { headline: 'FAA proposes rule', description: 'Details.' });
+  assert.match(respond(built).text, /^SUMMARY: Mock summary of "FAA proposes rule"\./);
+});
+
+test('a call without a prompt id gets plain text', () => {
+  assert.match(mock.respond({ prompt: 'Return a JSON array.' }).text, /^Mock response [0-9a-f]{6} /);
+});
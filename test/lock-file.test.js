@@ -0,0 +1,72 @@
+/**
+ * PAI AeroNews - Lock File Tests
+ *
+ * Starts several processes that find the same stale lock at once and checks
+ * that only one of them takes it over: their critical sections never overlap.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOCK_MODULE = pathToFileURL(path.join(__dirname, '..', 'scripts', 'lock-file.js')).href;
+const WAITERS = 6;
+
+// Signals ready, waits for the go file, then logs enter/leave under the lock
+const WORKER = `
+import fs from 'fs';
+import { withFileLock } from ${JSON.stringify(LOCK_MODULE)};
+const [dir] = process.argv.slice(1);
+const pause = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+fs.writeFileSync(\`\${dir}/ready-\${process.pid}\`, '');
+while (!fs.existsSync(\`\${dir}/go\`)) pause(2);
+withFileLock(\`\${dir}/counters.lock\`, () => {
+  fs.appendFileSync(\`\${dir}/log\`, \`+\${process.pid}\\n\`);
+  pause(20);
+  fs.appendFileSync(\`\${dir}/log\`, \`-\${process.pid}\\n\`);
+}, { label: 'test' });
+`;
+
+function runWorker(dir) {
+  const child = spawn(process.execPath, ['--input-type=module', '-e', WORKER, dir], { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  return new Promise(resolve => child.on('exit', code => resolve({ code, stderr })));
+}
+
+async function waitFor(condition) {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test('waiters racing on one stale lock never hold it together', { timeout: 30000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aeronews-lock-'));
+  try {
+    const lockPath = path.join(dir, 'counters.lock');
+    // Left by a process that is gone: pid 2^22 + 1 is above Linux's pid_max
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 4194305, host: os.hostname(), createdAt: '2026-10-19T00:00:00.000Z' }));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+
+    const exits = Array.from({ length: WAITERS }, () => runWorker(dir));
+    await waitFor(() => fs.readdirSync(dir).filter(f => f.startsWith('ready-')).length === WAITERS);
+    fs.writeFileSync(path.join(dir, 'go'), '');
+
+    const results = await Promise.all(exits);
+    for (const { code, stderr } of results) assert.equal(code, 0, stderr);
+
+    const log = fs.readFileSync(path.join(dir, 'log'), 'utf-8').trim().split('\n');
+    assert.equal(log.length, WAITERS * 2);
+    for (let i = 0; i < log.length; i += 2) {
+      assert.ok(log[i].startsWith('+') && log[i + 1] === `-${log[i].slice(1)}`, `overlapping holders:\n${log.join('\n')}`);
+    }
+    assert.ok(!fs.existsSync(lockPath), 'lock left behind');
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.stale')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,56 @@
+/**
+ * PAI AeroNews - Record/Replay Tests
+ *
+ * Replays test/fixtures/snapshot/ through the fetch scheduler the way
+ * fetchFeed does: two feeds on the same host (so the per-host delay applies
+ * under the frozen clock) and one feed with no recorded response.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setupRecordReplay } from '../scripts/record-replay.js';
+import { scheduledFetch } from '../scripts/fetch-scheduler.js';
+import { parseFeedItems } from '../scripts/feed-parsing.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshot');
+
+setupRecordReplay(['--replay', SNAPSHOT_DIR]);
+
+async function replayFeed(url) {
+  const response = await scheduledFetch(url, { maxRetries: 1 });
+  const feed = { name: url, category: 'general-aviation' };
+  const { items, normalize } = parseFeedItems(await response.text(), feed);
+  return items.map(item => normalize(item, feed, new Date()));
+}
+
+test('replay freezes new Date() at the recorded time but Date.now() keeps advancing', async () => {
+  assert.equal(new Date().toISOString(), '2026-10-12T15:00:00.000Z');
+
+  const before = Date.now();
+  assert.ok(before >= Date.parse('2026-10-12T15:00:00.000Z'));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(Date.now() - before >= 40, 'Date.now() did not advance');
+  assert.equal(new Date().toISOString(), '2026-10-12T15:00:00.000Z');
+});
+
+test('replay finishes with same-host feeds and a missing response', { timeout: 15000 }, async () => {
+  const [ga, safety, missing] = await Promise.allSettled([
+    replayFeed('https://feeds.example.com/ga.xml'),
+    replayFeed('https://feeds.example.com/safety.xml'),
+    replayFeed('https://feeds.example.com/not-recorded.xml'),
+  ]);
+
+  assert.equal(ga.status, 'fulfilled');
+  assert.equal(ga.value[0].headline, 'General Aviation Story');
+  assert.equal(ga.value[0].publishedAt, '2026-10-12T10:00:00.000Z');
+
+  // Dated after the recording, so clamped to the frozen run start
+  assert.equal(safety.status, 'fulfilled');
+  assert.equal(safety.value[0].publishedAt, '2026-10-12T15:00:00.000Z');
+
+  assert.equal(missing.status, 'rejected');
+  assert.match(missing.reason.message, /no recorded response for GET https:\/\/feeds\.example\.com\/not-recorded\.xml/);
+});
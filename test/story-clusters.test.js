@@ -0,0 +1,54 @@
+/**
+ * PAI AeroNews - Story Clustering Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterStories } from '../scripts/story-clusters.js';
+
+function article(id, feed, headline, publishedAt, extra = {}) {
+  return { id, headline, blurb: '', source: { name: feed, url: `https://${feed}.example.com/${id}` }, publishedAt, keywords: [], ...extra };
+}
+
+test('clusterId comes from the earliest dated member, not an undated one', () => {
+  const { articles } = clusterStories([
+    article('newest', 'avweb', 'NTSB Releases Preliminary Report on Cessna Crash', '2026-10-19T10:00:00Z'),
+    article('undated', 'ain', 'NTSB Releases Preliminary Report on Cessna Crash', null, { dateMissing: true }),
+    article('oldest', 'flying', 'NTSB Releases Preliminary Report on Cessna Crash', '2026-10-19T08:00:00Z'),
+  ]);
+  assert.equal(articles.length, 1);
+  assert.equal(articles[0].clusterId, 'c-oldest');
+  assert.deepEqual(articles[0].alsoCoveredBy.map(s => s.name), ['ain', 'flying']);
+});
+
+test('an all-undated cluster takes its id from the first member', () => {
+  const { articles } = clusterStories([
+    article('first', 'avweb', 'FAA Grounds Regional Turboprop Fleet', null, { dateMissing: true }),
+    article('second', 'ain', 'FAA Grounds Regional Turboprop Fleet', null, { dateMissing: true }),
+  ]);
+  assert.equal(articles[0].clusterId, 'c-first');
+});
+
+test('an article linked to two unrelated stories does not merge them', () => {
+  const { articles, clustered } = clusterStories([
+    article('excursion', 'avweb', 'Cessna Citation Runway Excursion Under NTSB Investigation', '2026-10-19T10:00:00Z',
+      { keywords: ['ntsb', 'runway excursion'] }),
+    article('bridge', 'ain', 'NTSB Investigation Widens After Runway Excursion And Embraer Phenom Gear Collapse', '2026-10-19T09:00:00Z',
+      { keywords: ['ntsb', 'runway excursion', 'embraer', 'phenom'] }),
+    article('gear', 'flying', 'Embraer Phenom Gear Collapse Prompts Service Bulletin', '2026-10-19T08:00:00Z',
+      { keywords: ['embraer', 'phenom'] }),
+  ]);
+  assert.equal(clustered, 1);
+  assert.deepEqual(articles.map(a => a.id), ['excursion', 'gear']);
+  assert.deepEqual(articles[0].alsoCoveredBy.map(s => s.name), ['ain']);
+  assert.deepEqual(articles[1].alsoCoveredBy, []);
+});
+
+test('the first article in input order represents its cluster', () => {
+  const { articles } = clusterStories([
+    article('top-scored', 'flying', 'FAA Grounds Regional Turboprop Fleet', '2026-10-19T08:00:00Z'),
+    article('newer', 'avweb', 'FAA Grounds Regional Turboprop Fleet', '2026-10-19T10:00:00Z'),
+  ]);
+  assert.deepEqual(articles.map(a => a.id), ['top-scored']);
+  assert.equal(articles[0].clusterId, 'c-top-scored');
+});
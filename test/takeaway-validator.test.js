@@ -0,0 +1,22 @@
+/**
+ * PAI AeroNews - Takeaway Validation Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeawayValidationRules, validateTakeaway } from '../scripts/takeaway-validator.js';
+
+const rules = takeawayValidationRules({ bannedPhrases: ['(Beta)'] });
+const article = { headline: 'Regional Carrier Expands Turboprop Fleet', blurb: '' };
+
+test('banned phrases match whole words only', () => {
+  assert.deepEqual(validateTakeaway('There is now a clear case for operators to revisit fleet plans.', article, rules), []);
+  assert.deepEqual(validateTakeaway('Operators will ask where is the capacity coming from next year.', article, rules), []);
+  assert.deepEqual(validateTakeaway('Here is why operators should revisit fleet plans this year.', article, rules), ['contains "here is"']);
+  assert.deepEqual(validateTakeaway('Takeaway: operators should revisit fleet plans this year.', article, rules), ['contains "takeaway:"']);
+});
+
+test('curly apostrophes and configured phrases are matched', () => {
+  assert.deepEqual(validateTakeaway('I can’t assess what this means for operators right now.', article, rules), [`contains "i can't"`]);
+  assert.deepEqual(validateTakeaway('New planning tools (beta) help operators revisit fleet plans.', article, rules), ['contains "(beta)"']);
+});